@@ -1,8 +1,11 @@
-import { DoubleSide, RepeatWrapping, ShaderMaterial, TextureLoader, Uniform, Vector3 } from "three";
+import { DoubleSide, RepeatWrapping, ShaderMaterial, TextureLoader, Uniform, Vector2, Vector3, Vector4 } from "three";
 import * as OceanShaders from "../shaders/OceanShaders.js";
 import { cameraForward } from "../scripts/Scene.js";
 import { timeUniform } from "../scripts/Time.js";
 import { SetSkyboxUniforms } from "./SkyboxMaterial.js";
+import { cameraFarUniform, cameraNearUniform, sceneColorUniform, sceneDepthUniform, screenSizeUniform } from "../scripts/Prepass.js";
+import { reflectionMapUniform, reflectionMatrixUniform, reflectionStrengthUniform } from "../scripts/Reflection.js";
+import { rainIntensityUniform } from "../scene/Rain.js";
 
 export const surface = new ShaderMaterial();
 export const volume = new ShaderMaterial();
@@ -35,15 +38,53 @@ const triplanarScale = 1;
 // Ocean color absorption - higher values = more absorption (less of that color visible)
 // Lower values = brighter ocean. Original was vec3(0.1, 0.025, 0.01)
 export const oceanAbsorptionUniform = new Uniform(new Vector3(0.085, 0.022, 0.015));
+// Light sent back towards the eye by the particles in the water, tints the water color (1 = neutral)
+export const oceanScatteringUniform = new Uniform(new Vector3(1.0, 1.0, 1.0));
 
-// Wave parameters - Perlin noise based
-export const bigWavesElevationUniform = new Uniform(0.2);
-export const bigWavesFrequencyUniform = new Uniform({ x: 4.0, y: 1.5 });
+// Water types after the Jerlov classification, set with SetWaterType. The sea state stirs them up
+// with sediment (turbidity) on top of it
+export const WaterType =
+{
+    tropical: "tropical",   // Oceanic I - clear, deep blue
+    oceanic: "oceanic",     // Oceanic II - open ocean, the default
+    coastal: "coastal",     // Coastal 3 - green with plankton
+    harbor: "harbor"        // Coastal 9 - murky, loaded with sediment
+};
+
+const waterTypes =
+{
+    tropical: { absorption: new Vector3(0.075, 0.014, 0.008), scattering: new Vector3(0.85, 1.0, 1.1) },
+    oceanic: { absorption: new Vector3(0.085, 0.022, 0.015), scattering: new Vector3(1.0, 1.0, 1.0) },
+    coastal: { absorption: new Vector3(0.09, 0.024, 0.045), scattering: new Vector3(1.0, 1.2, 0.9) },
+    harbor: { absorption: new Vector3(0.12, 0.065, 0.09), scattering: new Vector3(1.25, 1.1, 0.7) }
+};
+
+// The picked ocean color is the one seen at the deepest view depth (MAX_VIEW_DEPTH_DENSITY of the shaders)
+const colorDepth = 80 * 0.35;
+const minAbsorption = 0.015;        // Absorption of the brightest channel of the picked color
+
+// Added at full turbidity
+const sedimentAbsorption = new Vector3(0.02, 0.03, 0.035);
+const sedimentScattering = new Vector3(0.25, 0.2, 0.05);
+
+export let waterType = WaterType.oceanic;
+const waterAbsorption = new Vector3().copy(oceanAbsorptionUniform.value);
+const waterScattering = new Vector3().copy(oceanScatteringUniform.value);
+let turbidity = 0;
+
+// Glow of the sunlight shining through backlit wave crests (0 = off)
+export const subsurfaceStrengthUniform = new Uniform(1.0);
+
+// Wave parameters - Perlin noise based, in world units (the island is only a few meters wide,
+// so keep wavelengths well above the 0.78m vertex spacing of the surface plane)
+export const bigWavesElevationUniform = new Uniform(0.1);
+export const bigWavesFrequencyUniform = new Uniform({ x: 0.4, y: 0.2 });
 export const bigWavesSpeedUniform = new Uniform(0.75);
 export const smallWavesElevationUniform = new Uniform(0.03);
-export const smallWavesFrequencyUniform = new Uniform(3.0);
+export const smallWavesFrequencyUniform = new Uniform(0.3);
 export const smallWavesSpeedUniform = new Uniform(0.2);
 export const smallIterationsUniform = new Uniform(2.0);
+export const waveDirectionUniform = new Uniform(new Vector2(1.0, 0.0));   // Direction of the wind over the big waves, set by Wind.js
 
 // Small wave (normal map) parameters
 export const normalMapScaleUniform = new Uniform(0.15);
@@ -51,29 +92,124 @@ export const normalMapStrengthUniform = new Uniform(0.85);
 export const waveVelocity1Uniform = new Uniform({ x: 0.035, y: 0.0 });
 export const waveVelocity2Uniform = new Uniform({ x: 0.0, y: 0.035 });
 
-// Edge fade parameters (ocean size and fade distance)
-export const oceanHalfSizeUniform = new Uniform({ x: 200.0, y: 200.0 }); // halfWidth, halfDepth
-export const edgeFadeDistanceUniform = new Uniform(3.0); // Distance from edge where fade starts
+// Spectral ocean parameters - displacement and slope maps are synthesized every frame by Spectrum.js
+export const spectrumDisplacementUniform = new Uniform(null);
+export const spectrumNormalUniform = new Uniform(null);
+export const spectrumPatchSizeUniform = new Uniform(1.0);
+export const spectrumBlendUniform = new Uniform(0.0); // 0 = scrolling normal maps, 1 = spectral ocean
+
+// Caustics on submerged geometry (x = cells per world unit, y = speed, z = strength),
+// derived from the wave parameters by UpdateCaustics
+export const causticsUniform = new Uniform(new Vector3(8.0, 1.0, 0.6));
+const causticsScale = 8.0 / 0.3;    // Relative to the small waves frequency
+const causticsSpeed = 1.5;          // Relative to the big waves speed
+const causticsStrength = 0.6 / 0.13;// Relative to the combined wave elevation
 
-// Foam parameters for island shore
-export const foamIslandCenterUniform = new Uniform({ x: 0.0, y: -3.3 }); // Island XZ position
-export const foamIslandRadiusUniform = new Uniform(1.08);   // Approximate island radius (tweak this to match waterline)
-export const foamWidthUniform = new Uniform(0.01);         // Width of foam ring (thinner = smaller value)
+// Distance from the camera where the waves start and finish flattening out on the coarser LOD rings
+export const lodFadeUniform = new Uniform(new Vector2(40.0, 160.0));
+
+// Foam parameters for shorelines - found from the scene depth prepass, so any mesh gets foam
+export const foamWidthUniform = new Uniform(0.06);          // Water depth (view distance) covered by foam
 export const foamIntensityUniform = new Uniform(0.55);      // Foam opacity (0-1, higher = more visible)
+export const softEdgeDistanceUniform = new Uniform(0.15);   // Water depth over which the surface fades in
 
-export function SetOceanColor(r, g, b) {
-    // Invert color to absorption: bright color component = low absorption of that color
-    // Absorption range reduced for brighter overall ocean
-    const minAbs = 0.005;
-    const maxAbs = 0.08;
-    const range = maxAbs - minAbs;
-    
-    oceanAbsorptionUniform.value.set(0.005, 0.005, 0.1);
-    // oceanAbsorptionUniform.value.set(
-    //     maxAbs - r * range,  // High r = low red absorption = more red visible
-    //     maxAbs - g * range,  // High g = low green absorption = more green visible
-    //     maxAbs - b * range   // High b = low blue absorption = more blue visible
-    // );
+// How much the surface normal ripples the planar reflection (screen uv units)
+export const reflectionDistortionUniform = new Uniform(0.05);
+
+// Refraction of the prepass scene color through the surface (1 = on). While on, objects under the
+// water leave the absorption along the view path to the surface shader
+export const surfaceRefractionUniform = new Uniform(1.0);
+export const refractionStrengthUniform = new Uniform(0.03);
+
+// Whitecap foam - accumulated every frame by Foam.js in a map that follows the camera
+export const foamMapUniform = new Uniform(null);
+export const foamOriginUniform = new Uniform(new Vector2());
+export const foamAreaUniform = new Uniform(96.0);           // World size covered by the foam map
+export const whitecapIntensityUniform = new Uniform(0.8);   // Whitecap opacity
+export const whitecapSlopeUniform = new Uniform(0.15);      // Wave slope where crests start to break
+export const whitecapJacobianUniform = new Uniform(0.85);   // Spectral breaking threshold (1 = undisturbed surface)
+export const foamDecayUniform = new Uniform(0.5);           // How fast foam dissolves (per second)
+export const foamGrowthUniform = new Uniform(4.0);          // How fast breaking crests build foam (per second)
+
+// Interactive ripples - wave propagation simulated by Ripples.js in a map that follows the camera
+export const rippleMapUniform = new Uniform(null);
+export const rippleOriginUniform = new Uniform(new Vector2());
+export const rippleAreaUniform = new Uniform(8.0);          // World size covered by the ripple map
+export const rippleSpeedUniform = new Uniform(0.5);         // How fast the rings expand (world units per second)
+export const rippleDampingUniform = new Uniform(1.5);       // How fast the rings calm down (per second)
+
+// Kelvin wakes - trails of the moving emitters recorded by Wake.js (32 = MAX_WAKE_POINTS of the surface shader)
+export const wakePointsUniform = new Uniform(Array.from({ length: 32 }, () => new Vector4()));
+export const wakePointCountUniform = new Uniform(0);
+export const wakeLifetimeUniform = new Uniform(4.0);        // Seconds before a trail has faded out
+export const wakeHeightUniform = new Uniform(0.01);         // Height of the wake arms (world units)
+export const wakeFoamUniform = new Uniform(0.7);            // Opacity of the churned foam along the path
+
+// Water line across the near plane of the camera, found by PostProcess.js so the shaders can split the
+// view between the above and underwater looks (16 = WATERLINE_COLUMNS of the waterline chunk)
+export const waterlineUniform = new Uniform(new Array(16).fill(-1000.0));
+export const waterlineSlopeUniform = new Uniform(1.0);
+export const waterlineActiveUniform = new Uniform(1.0);    // Turned off while other cameras render the scene
+
+// Height of the still water (world units), moved up and down by the tides
+export const seaLevelUniform = new Uniform(0.0);
+
+function UpdateWaterOptics()
+{
+    oceanAbsorptionUniform.value.copy(waterAbsorption).addScaledVector(sedimentAbsorption, turbidity);
+    oceanScatteringUniform.value.copy(waterScattering).addScaledVector(sedimentScattering, turbidity);
+}
+
+// Makes the deep water look like the given color (0-1). The hue goes into the absorption, so the
+// darker channels fade first with depth, and the brightness into the scattering
+export function SetOceanColor(r, g, b)
+{
+    const brightest = Math.max(r, g, b, 0.01);
+    const absorption = (c) => minAbsorption - Math.log(Math.max(c / brightest, 0.01)) / colorDepth;
+
+    waterAbsorption.set(absorption(r), absorption(g), absorption(b));
+    waterScattering.setScalar(brightest / Math.exp(-minAbsorption * colorDepth));
+    UpdateWaterOptics();
+}
+
+// Color of the deep water, the inverse of SetOceanColor
+export function GetOceanColor(target = new Vector3())
+{
+    return target.set
+    (
+        Math.exp(-waterAbsorption.x * colorDepth) * waterScattering.x,
+        Math.exp(-waterAbsorption.y * colorDepth) * waterScattering.y,
+        Math.exp(-waterAbsorption.z * colorDepth) * waterScattering.z
+    );
+}
+
+export function SetWaterType(type)
+{
+    if (!waterTypes[type]) return;
+
+    waterType = type;
+    waterAbsorption.copy(waterTypes[type].absorption);
+    waterScattering.copy(waterTypes[type].scattering);
+    UpdateWaterOptics();
+}
+
+// Sediment stirred up by rough seas (0 = clear, 1 = stormy), muddies the water type
+export function SetTurbidity(value)
+{
+    turbidity = value;
+    UpdateWaterOptics();
+}
+
+// Caustics follow the current waves: calm water barely focuses any light
+export function UpdateCaustics()
+{
+    const elevation = bigWavesElevationUniform.value + smallWavesElevationUniform.value + spectrumBlendUniform.value * 0.1;
+    causticsUniform.value.set
+    (
+        smallWavesFrequencyUniform.value * causticsScale,
+        bigWavesSpeedUniform.value * causticsSpeed,
+        Math.min(elevation * causticsStrength, 1.5)
+    );
 }
 
 export function Start()
@@ -89,6 +225,11 @@ export function Start()
         _NormalMap1: normalMap1,
         _NormalMap2: normalMap2,
         _Absorption: oceanAbsorptionUniform,
+        _Scattering: oceanScatteringUniform,
+        _SubsurfaceStrength: subsurfaceStrengthUniform,
+        _SurfaceRefraction: surfaceRefractionUniform,
+        _SceneColor: sceneColorUniform,
+        _RefractionStrength: refractionStrengthUniform,
         uBigWavesElevation: bigWavesElevationUniform,
         uBigWavesFrequency: bigWavesFrequencyUniform,
         uBigWavesSpeed: bigWavesSpeedUniform,
@@ -96,16 +237,45 @@ export function Start()
         uSmallWavesFrequency: smallWavesFrequencyUniform,
         uSmallWavesSpeed: smallWavesSpeedUniform,
         uSmallIterations: smallIterationsUniform,
+        uWaveDirection: waveDirectionUniform,
         _NormalMapScale: normalMapScaleUniform,
         _NormalMapStrength: normalMapStrengthUniform,
         _WaveVelocity1: waveVelocity1Uniform,
         _WaveVelocity2: waveVelocity2Uniform,
-        _OceanHalfSize: oceanHalfSizeUniform,
-        _EdgeFadeDistance: edgeFadeDistanceUniform,
-        _FoamIslandCenter: foamIslandCenterUniform,
-        _FoamIslandRadius: foamIslandRadiusUniform,
+        _SpectrumDisplacement: spectrumDisplacementUniform,
+        _SpectrumNormal: spectrumNormalUniform,
+        _SpectrumPatchSize: spectrumPatchSizeUniform,
+        _SpectrumBlend: spectrumBlendUniform,
+        _LodFade: lodFadeUniform,
         _FoamWidth: foamWidthUniform,
-        _FoamIntensity: foamIntensityUniform
+        _FoamIntensity: foamIntensityUniform,
+        _SoftEdgeDistance: softEdgeDistanceUniform,
+        _SceneDepth: sceneDepthUniform,
+        _ScreenSize: screenSizeUniform,
+        _CameraNear: cameraNearUniform,
+        _CameraFar: cameraFarUniform,
+        _ReflectionMap: reflectionMapUniform,
+        _ReflectionMatrix: reflectionMatrixUniform,
+        _ReflectionStrength: reflectionStrengthUniform,
+        _ReflectionDistortion: reflectionDistortionUniform,
+        _FoamMap: foamMapUniform,
+        _FoamOrigin: foamOriginUniform,
+        _FoamArea: foamAreaUniform,
+        _WhitecapIntensity: whitecapIntensityUniform,
+        _RippleMap: rippleMapUniform,
+        _RippleOrigin: rippleOriginUniform,
+        _RippleArea: rippleAreaUniform,
+        _WakePoints: wakePointsUniform,
+        _WakePointCount: wakePointCountUniform,
+        _WakeLifetime: wakeLifetimeUniform,
+        _WakeHeight: wakeHeightUniform,
+        _WakeFoam: wakeFoamUniform,
+        _RainIntensity: rainIntensityUniform,
+        _Waterline: waterlineUniform,
+        _WaterlineSlope: waterlineSlopeUniform,
+        _WaterlineActive: waterlineActiveUniform,
+        _WaterlineScreenSize: screenSizeUniform,
+        _SeaLevel: seaLevelUniform
     };
     SetSkyboxUniforms(surface);
     
@@ -113,7 +283,13 @@ export function Start()
     volume.fragmentShader = OceanShaders.volumeFragment;
     volume.uniforms = 
     {
-        _Absorption: oceanAbsorptionUniform
+        _Absorption: oceanAbsorptionUniform,
+        _Scattering: oceanScatteringUniform,
+        _Waterline: waterlineUniform,
+        _WaterlineSlope: waterlineSlopeUniform,
+        _WaterlineActive: waterlineActiveUniform,
+        _WaterlineScreenSize: screenSizeUniform,
+        _SeaLevel: seaLevelUniform
     };
     SetSkyboxUniforms(volume);
     
@@ -125,7 +301,16 @@ export function Start()
         _CameraForward: new Uniform(cameraForward),
         _SpotLightSharpness: new Uniform(spotLightSharpness),
         _SpotLightDistance: spotLightDistanceUniform,
-        _Absorption: oceanAbsorptionUniform
+        _Absorption: oceanAbsorptionUniform,
+        _Scattering: oceanScatteringUniform,
+        _SurfaceRefraction: surfaceRefractionUniform,
+        _Time: timeUniform,
+        _Caustics: causticsUniform,
+        _Waterline: waterlineUniform,
+        _WaterlineSlope: waterlineSlopeUniform,
+        _WaterlineActive: waterlineActiveUniform,
+        _WaterlineScreenSize: screenSizeUniform,
+        _SeaLevel: seaLevelUniform
     };
     SetSkyboxUniforms(object);
 
@@ -139,7 +324,16 @@ export function Start()
         _Scale: new Uniform(triplanarScale),
         _SpotLightSharpness: new Uniform(spotLightSharpness),
         _SpotLightDistance: spotLightDistanceUniform,
-        _Absorption: oceanAbsorptionUniform
+        _Absorption: oceanAbsorptionUniform,
+        _Scattering: oceanScatteringUniform,
+        _SurfaceRefraction: surfaceRefractionUniform,
+        _Time: timeUniform,
+        _Caustics: causticsUniform,
+        _Waterline: waterlineUniform,
+        _WaterlineSlope: waterlineSlopeUniform,
+        _WaterlineActive: waterlineActiveUniform,
+        _WaterlineScreenSize: screenSizeUniform,
+        _SeaLevel: seaLevelUniform
     };
     SetSkyboxUniforms(triplanar);
 }
\ No newline at end of file
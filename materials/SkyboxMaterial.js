@@ -1,6 +1,6 @@
 import { DataTexture, MathUtils, RepeatWrapping, ShaderMaterial, TextureLoader, Uniform, Vector2, Vector3 } from "three";
 import { fragment, vertex } from "../shaders/SkyboxShader.js";
-import { dirToLight, rotationMatrix } from "../scene/Skybox.js";
+import { dirToLight, GetMoonIllumination, moonDirection, rotationMatrix } from "../scene/Skybox.js";
 import { Random } from "../scripts/Random.js";
 
 export const material = new ShaderMaterial();
@@ -19,10 +19,35 @@ const maxOffset = 0.43;
 const starsMap = new Uint8Array(gridSize * gridSize * 24);
 const stars = new Uniform();
 
+// How much of the light the rain clouds take away at full overcast
+const overcastDimming = 0.4;
+
 // Export light and sunVisibility for use by other modules (like Island.js)
 export const lightUniform = new Uniform(new Vector3(1, 1, 1));
 export const sunVisibilityUniform = sunVisibility;
 
+// Rain clouds covering the sky (0 = clear, 1 = fully overcast)
+export const overcastUniform = new Uniform(0);
+
+// Distance where the fog hides the scene, shorter in rough weather
+export const fogDistanceUniform = new Uniform(1000);
+
+// How far the wind has carried the clouds, in cloud pattern cells
+export const cloudOffsetUniform = new Uniform(new Vector2());
+
+// Cloud deck, set through Clouds.js (coverage 0 = clear sky)
+export const cloudCoverageUniform = new Uniform(0);
+export const cloudDensityUniform = new Uniform(1);
+export const cloudAltitudeUniform = new Uniform(150);
+export const cloudShadowsUniform = new Uniform(0);
+
+// Physically based sky, rendered into the sky-view LUT by Atmosphere.js (0 = painted colors)
+export const physicalSkyUniform = new Uniform(0);
+export const skyViewUniform = new Uniform(null);
+
+// Strength of the moonlight (0-1): lit fraction of the moon, dimmed near the horizon, by daylight and by clouds
+export const moonLightUniform = new Uniform(0);
+
 const up = new Vector3(0, 1, 0);
 
 let intensity = 0;
@@ -144,6 +169,17 @@ export function Start()
         material.uniforms._Stars = stars;
         material.uniforms._DirToLight = new Uniform(dirToLight);
         material.uniforms._Light = lightUniform;
+        material.uniforms._Overcast = overcastUniform;
+        material.uniforms._FogDistance = fogDistanceUniform;
+        material.uniforms._CloudOffset = cloudOffsetUniform;
+        material.uniforms._CloudCoverage = cloudCoverageUniform;
+        material.uniforms._CloudDensity = cloudDensityUniform;
+        material.uniforms._CloudAltitude = cloudAltitudeUniform;
+        material.uniforms._CloudShadows = cloudShadowsUniform;
+        material.uniforms._PhysicalSky = physicalSkyUniform;
+        material.uniforms._SkyView = skyViewUniform;
+        material.uniforms._MoonDirection = new Uniform(moonDirection);
+        material.uniforms._MoonLight = moonLightUniform;
     }
     SetSkyboxUniforms(material);
 }
@@ -155,6 +191,8 @@ export function Update()
     twilightTime.value = MathUtils.clamp((intensity + 0.1) * 3, 0, 1);
     twilightVisibility.value = 1 - Math.min(Math.abs(intensity * 3), 1);
     
-    l = Math.min(sunVisibility.value + 0.333, 1);
+    l = Math.min(sunVisibility.value + 0.333, 1) * (1 - overcastUniform.value * overcastDimming);
     lightUniform.value.set(l, l, l);
+
+    moonLightUniform.value = GetMoonIllumination() * MathUtils.smoothstep(moonDirection.y, -0.05, 0.1) * (1 - sunVisibility.value) * (1 - overcastUniform.value);
 }
\ No newline at end of file
@@ -0,0 +1,93 @@
+import {
+    HalfFloatType,
+    LinearFilter,
+    Mesh,
+    NoBlending,
+    OrthographicCamera,
+    PlaneGeometry,
+    Scene,
+    ShaderMaterial,
+    Uniform,
+    WebGLRenderTarget
+} from "three";
+import { skyViewFragment, skyViewVertex } from "../shaders/SkyboxShader.js";
+import { physicalSkyUniform, skyViewUniform } from "../materials/SkyboxMaterial.js";
+import { dirToLight } from "./Skybox.js";
+import { renderer } from "../scripts/Scene.js";
+
+// ============================================
+// ATMOSPHERE SETTINGS (easily tweakable)
+// ============================================
+const LUT_WIDTH = 128;             // Sky-view samples around from the sun
+const LUT_HEIGHT = 64;             // Sky-view samples from the horizon up
+const SUN_INTENSITY = 20;          // Sunlight brightness, brings the sky close to the painted colors
+const REDRAW_THRESHOLD = 0.0005;   // Smaller sun moves reuse the last LUT
+// ============================================
+
+// Current atmosphere parameters (use SetAtmosphereSettings to change them)
+export const atmosphereSettings = {
+    enabled: false,    // Physically based sky instead of the painted colors
+    turbidity: 2,      // Haze in the air, scales the Mie scattering (1 = very clear)
+    ozone: 1           // Thickness of the ozone layer (1 = average), deepens the blue of the twilight
+};
+
+const lutScene = new Scene();
+const lutCamera = new OrthographicCamera(-1, 1, 1, -1, 0, 1);
+const lutMaterial = new ShaderMaterial();
+let target;
+
+const sunHeightUniform = new Uniform(0);
+const turbidityUniform = new Uniform(atmosphereSettings.turbidity);
+const ozoneUniform = new Uniform(atmosphereSettings.ozone);
+
+// Set when the LUT no longer matches the settings
+let dirty = true;
+
+export function SetAtmosphereSettings(settings) {
+    Object.assign(atmosphereSettings, settings);
+    turbidityUniform.value = Math.max(atmosphereSettings.turbidity, 0);
+    ozoneUniform.value = Math.max(atmosphereSettings.ozone, 0);
+    physicalSkyUniform.value = atmosphereSettings.enabled ? 1 : 0;
+    dirty = true;
+}
+
+export function Start() {
+    target = new WebGLRenderTarget(LUT_WIDTH, LUT_HEIGHT, {
+        type: HalfFloatType,
+        minFilter: LinearFilter,
+        magFilter: LinearFilter,
+        depthBuffer: false
+    });
+
+    lutMaterial.vertexShader = skyViewVertex;
+    lutMaterial.fragmentShader = skyViewFragment;
+    lutMaterial.blending = NoBlending;
+    lutMaterial.depthTest = false;
+    lutMaterial.depthWrite = false;
+    lutMaterial.uniforms = {
+        _SunHeight: sunHeightUniform,
+        _SunIntensity: new Uniform(SUN_INTENSITY),
+        _Turbidity: turbidityUniform,
+        _Ozone: ozoneUniform
+    };
+
+    const quad = new Mesh(new PlaneGeometry(2, 2), lutMaterial);
+    quad.frustumCulled = false;
+    lutScene.add(quad);
+
+    skyViewUniform.value = target.texture;
+}
+
+// Redraws the LUT when the sun has moved, only while the physical sky is on
+export function Update() {
+    if (!atmosphereSettings.enabled) return;
+    if (!dirty && Math.abs(dirToLight.y - sunHeightUniform.value) < REDRAW_THRESHOLD) return;
+
+    sunHeightUniform.value = dirToLight.y;
+    dirty = false;
+
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(target);
+    renderer.render(lutScene, lutCamera);
+    renderer.setRenderTarget(previousTarget);
+}
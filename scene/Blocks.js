@@ -1,5 +1,6 @@
 import { BoxGeometry, Euler, Mesh, Vector3 } from "three";
 import * as oceanMaterials from "../materials/OceanMaterial.js";
+import { ReflectionLayer } from "../scripts/Reflection.js";
 
 export let blocks = [];
 
@@ -12,6 +13,7 @@ function CreateBox(postion, rotation, scale)
     const box = new Mesh(geometry, oceanMaterials.object);
     box.position.set(postion.x, postion.y, postion.z);
     box.geometry.computeVertexNormals();
+    box.layers.set(ReflectionLayer.props);
     blocks.push(box);
 }
 
@@ -0,0 +1,229 @@
+import { Box3, Group, Matrix3, Matrix4, Quaternion, Vector3 } from "three";
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { SampleOcean } from "./Ocean.js";
+import { applyOceanLightingToModel } from "./Island.js";
+import { AddWakeEmitter, RemoveWakeEmitter } from "./Wake.js";
+import { ReflectionLayer, SetObjectLayer } from "../scripts/Reflection.js";
+import { deltaTime, time } from "../scripts/Time.js";
+
+// Floating objects group - add this to the scene
+export const floaters = new Group();
+
+// ============================================
+// BUOYANCY SETTINGS (easily tweakable)
+// ============================================
+const GRAVITY = 0.981;             // World units per second squared (1 unit = 10 m, like the spectrum)
+const DEFAULT_DENSITY = 0.5;       // Object density relative to water (0.5 = floats half submerged)
+const LINEAR_DRAG = 3.0;           // How strongly the water drags submerged hull points along
+const ANGULAR_DRAG = 1.5;          // Rotational damping while in the water
+const AIR_DRAG = 0.05;             // Damping while airborne
+const HULL_GRID = 3;               // Default hull points per side (HULL_GRID x HULL_GRID)
+const MAX_STEP = 1 / 60;           // Largest physics sub step (seconds)
+const MAX_SUB_STEPS = 4;           // Frame hitches beyond this are dropped instead of simulated
+// ============================================
+
+const loader = new GLTFLoader();
+const bodies = [];
+
+// Reused per step to avoid allocations
+const waterSample = { height: 0, normal: new Vector3(), velocity: new Vector3() };
+const worldScale = new Vector3();
+const pointWorld = new Vector3();
+const arm = new Vector3();
+const centerWorld = new Vector3();
+const pointVelocity = new Vector3();
+const force = new Vector3();
+const torque = new Vector3();
+const totalForce = new Vector3();
+const totalTorque = new Vector3();
+const angularStep = new Vector3();
+const rotation = new Matrix4();
+const rotationMatrix = new Matrix3();
+const rotationMatrixT = new Matrix3();
+const spin = new Quaternion();
+
+/**
+ * Rigid body that keeps a scene object floating on the ocean surface.
+ * The object is treated as a box fitting its bounds, split into hull points that each
+ * carry an equal slice of the displaced volume. Hull points and the center of mass are kept
+ * in the object's local space and scaled with it.
+ */
+export class FloatingBody {
+    object;
+    velocity = new Vector3();
+    angularVelocity = new Vector3();
+    hullPoints = [];
+    // Local offset of the center of mass from the object origin, before scaling
+    centerOfMass = new Vector3();
+    mass = 1;
+    // Diagonal of the inverse inertia tensor, in local space
+    inverseInertia = new Vector3();
+    // Height of the slab each hull point represents, used to get its submerged fraction
+    slabHeight = 1;
+    volume = 1;
+    // Wake left behind while drifting
+    wake = null;
+
+    constructor(object, options = {}) {
+        this.object = object;
+
+        // Unrotated bounds (scale included) so the physics matches what is rendered
+        const quaternion = object.quaternion.clone();
+        object.quaternion.identity();
+        object.updateMatrixWorld(true);
+        const bounds = new Box3().setFromObject(object, true);
+        object.quaternion.copy(quaternion);
+        object.updateMatrixWorld(true);
+
+        const size = bounds.getSize(new Vector3());
+        const center = bounds.getCenter(new Vector3()).sub(object.position);
+        const scale = object.getWorldScale(new Vector3());
+        this.centerOfMass.copy(center).divide(scale);
+
+        size.max(new Vector3(0.001, 0.001, 0.001));
+        this.volume = size.x * size.y * size.z;
+        this.slabHeight = size.y;
+        this.mass = this.volume * (options.density ?? DEFAULT_DENSITY);
+
+        // Solid box inertia
+        const m = this.mass / 12;
+        this.inverseInertia.set(
+            1 / (m * (size.y * size.y + size.z * size.z)),
+            1 / (m * (size.x * size.x + size.z * size.z)),
+            1 / (m * (size.x * size.x + size.y * size.y))
+        );
+
+        if (options.hullPoints) {
+            this.hullPoints = options.hullPoints.map(point => point.clone());
+        } else {
+            const grid = options.hullGrid ?? HULL_GRID;
+            for (let x = 0; x < grid; x++) {
+                for (let z = 0; z < grid; z++) {
+                    this.hullPoints.push(new Vector3(
+                        center.x + ((x + 0.5) / grid - 0.5) * size.x,
+                        center.y,
+                        center.z + ((z + 0.5) / grid - 0.5) * size.z
+                    ).divide(scale));
+                }
+            }
+        }
+    }
+
+    step(dt) {
+        const object = this.object;
+        const pointVolume = this.volume / this.hullPoints.length;
+        let submerged = 0;
+
+        totalForce.set(0, -GRAVITY * this.mass, 0);
+        totalTorque.set(0, 0, 0);
+
+        object.getWorldScale(worldScale);
+        centerWorld.copy(this.centerOfMass).multiply(worldScale).applyQuaternion(object.quaternion).add(object.position);
+
+        for (const point of this.hullPoints) {
+            pointWorld.copy(point).multiply(worldScale).applyQuaternion(object.quaternion).add(object.position);
+            arm.subVectors(pointWorld, centerWorld);
+
+            SampleOcean(pointWorld.x, pointWorld.z, time, waterSample);
+            const fraction = Math.min(Math.max((waterSample.height - pointWorld.y) / this.slabHeight + 0.5, 0), 1);
+            if (fraction <= 0) continue;
+            submerged += fraction;
+
+            // Archimedes along the surface normal, so objects also slide off wave crests
+            force.copy(waterSample.normal).multiplyScalar(GRAVITY * pointVolume * fraction);
+
+            // Drag towards the velocity of the water around the hull point
+            pointVelocity.crossVectors(this.angularVelocity, arm).add(this.velocity);
+            pointVelocity.sub(waterSample.velocity);
+            force.addScaledVector(pointVelocity, -LINEAR_DRAG * this.mass / this.hullPoints.length * fraction);
+
+            totalForce.add(force);
+            totalTorque.add(torque.crossVectors(arm, force));
+        }
+
+        submerged /= this.hullPoints.length;
+
+        // Semi-implicit Euler
+        this.velocity.addScaledVector(totalForce, dt / this.mass);
+        this.velocity.multiplyScalar(Math.max(1 - AIR_DRAG * (1 - submerged) * dt, 0));
+        centerWorld.addScaledVector(this.velocity, dt);
+
+        // Rotate the torque to local space, apply the inverse inertia, and rotate back
+        rotationMatrix.setFromMatrix4(rotation.makeRotationFromQuaternion(object.quaternion));
+        rotationMatrixT.copy(rotationMatrix).transpose();
+        angularStep.copy(totalTorque).applyMatrix3(rotationMatrixT).multiply(this.inverseInertia).applyMatrix3(rotationMatrix);
+        this.angularVelocity.addScaledVector(angularStep, dt);
+        this.angularVelocity.multiplyScalar(Math.max(1 - (ANGULAR_DRAG * submerged + AIR_DRAG) * dt, 0));
+
+        const angle = this.angularVelocity.length() * dt;
+        if (angle > 0) {
+            spin.setFromAxisAngle(angularStep.copy(this.angularVelocity).normalize(), angle);
+            object.quaternion.premultiply(spin).normalize();
+        }
+
+        // The body spins around its center of mass, not around the model origin
+        object.position.copy(this.centerOfMass).multiply(worldScale).applyQuaternion(object.quaternion).negate().add(centerWorld);
+    }
+}
+
+// Makes an object float. Options: density (relative to water), hullGrid or hullPoints (local space)
+export function AddFloatingObject(object, options = {}) {
+    if (object.parent !== floaters) {
+        floaters.add(object);
+    }
+    applyOceanLightingToModel(object);
+    SetObjectLayer(object, ReflectionLayer.props);
+
+    const body = new FloatingBody(object, options);
+    body.wake = AddWakeEmitter(object);
+    bodies.push(body);
+    return body;
+}
+
+export function RemoveFloatingObject(body) {
+    const index = bodies.indexOf(body);
+    if (index !== -1) {
+        bodies.splice(index, 1);
+    }
+    RemoveWakeEmitter(body.wake);
+    floaters.remove(body.object);
+}
+
+// Loads a glTF prop and drops it on the water. Options also take position, rotationY and scale
+export function LoadFloatingModel(path, options = {}, onLoad = null) {
+    loader.load(
+        path,
+        (gltf) => {
+            const model = gltf.scene;
+            if (options.position) {
+                model.position.copy(options.position);
+            }
+            model.rotation.y = options.rotationY ?? 0;
+            model.scale.setScalar(options.scale ?? 1);
+
+            const body = AddFloatingObject(model, options);
+            console.log('Floating model loaded:', path);
+            if (onLoad) onLoad(body);
+        },
+        undefined,
+        (error) => {
+            console.error('Error loading floating model:', path, error);
+        }
+    );
+}
+
+export function Start() {
+    floaters.name = 'Floaters';
+}
+
+export function Update() {
+    if (bodies.length === 0 || deltaTime <= 0) return;
+
+    const steps = Math.min(Math.ceil(deltaTime / MAX_STEP), MAX_SUB_STEPS);
+    const dt = Math.min(deltaTime / steps, MAX_STEP);
+    for (let i = 0; i < steps; i++) {
+        for (const body of bodies) {
+            body.step(dt);
+        }
+    }
+}
@@ -0,0 +1,50 @@
+import { MathUtils } from "three";
+import {
+    cloudAltitudeUniform,
+    cloudCoverageUniform,
+    cloudDensityUniform,
+    cloudOffsetUniform,
+    cloudShadowsUniform
+} from "../materials/SkyboxMaterial.js";
+import { windDirection, windSpeed } from "./Wind.js";
+import { deltaTime } from "../scripts/Time.js";
+
+// ============================================
+// CLOUD SETTINGS (easily tweakable)
+// ============================================
+const CLOUD_DRIFT = 0.003;         // Cloud pattern cells crossed per second for each m/s of wind (winds aloft blow harder)
+const SHADOW_STRENGTH = 0.6;       // Sunlight a thick cloud takes away from the sea and the island
+const MIN_ALTITUDE = 50;           // Lowest the deck goes, world units (1 unit = 10 m)
+// ============================================
+
+// Current cloud deck (use SetCloudSettings to change it)
+export const cloudSettings = {
+    coverage: 0.35,    // Part of the sky the clouds cover (0 = clear, 1 = overcast)
+    density: 0.8,      // How opaque the clouds are (0-1)
+    altitude: 150,     // Height of the deck above the sea, world units
+    drift: 1,          // How fast the clouds follow the wind (1 = default, 0 = still)
+    shadows: true      // Clouds cast moving shadows on the sea and the island
+};
+
+// Changes the clouds, only the given settings are replaced. Example: SetCloudSettings({ coverage: 0.8 })
+export function SetCloudSettings(settings) {
+    Object.assign(cloudSettings, settings);
+    cloudSettings.coverage = MathUtils.clamp(cloudSettings.coverage, 0, 1);
+    cloudSettings.density = MathUtils.clamp(cloudSettings.density, 0, 1);
+    cloudSettings.altitude = Math.max(cloudSettings.altitude, MIN_ALTITUDE);
+    cloudSettings.drift = Math.max(cloudSettings.drift, 0);
+
+    cloudCoverageUniform.value = cloudSettings.coverage;
+    cloudDensityUniform.value = cloudSettings.density;
+    cloudAltitudeUniform.value = cloudSettings.altitude;
+    cloudShadowsUniform.value = cloudSettings.shadows ? SHADOW_STRENGTH : 0;
+}
+
+export function Start() {
+    SetCloudSettings({});
+}
+
+export function Update() {
+    // The clouds move with the wind, so the pattern slides against it
+    cloudOffsetUniform.value.addScaledVector(windDirection, -windSpeed * CLOUD_DRIFT * cloudSettings.drift * deltaTime);
+}
@@ -0,0 +1,85 @@
+import { MathUtils } from "three";
+
+// ============================================
+// EPHEMERIS SETTINGS (easily tweakable)
+// ============================================
+const DAYS_PER_YEAR = 365;
+const DEGREES_PER_HOUR = 15;       // How far the sun moves across the sky in an hour of solar time
+// ============================================
+
+// Where and when the sun is computed for (use SetEphemerisSettings to change them)
+export const ephemerisSettings = {
+    enabled: false,    // Sun placed from the location and date instead of circling straight overhead
+    latitude: -22.9,   // Degrees, north positive
+    longitude: -43.2,  // Degrees, east positive
+    timeZone: -3,      // Hours the local clock is ahead of UTC
+    dayOfYear: 80,     // 1 = January 1st, 80 = the March equinox, when the sun rises due east
+    localTime: false   // Follow the visitor's own clock, date and time zone
+};
+
+// Changes the location or date, only the given settings are replaced. Example: SetEphemerisSettings({ enabled: true, latitude: 60 })
+export function SetEphemerisSettings(settings) {
+    const wasLocalTime = ephemerisSettings.localTime;
+
+    Object.assign(ephemerisSettings, settings);
+    ephemerisSettings.latitude = MathUtils.clamp(ephemerisSettings.latitude, -90, 90);
+    ephemerisSettings.longitude = MathUtils.euclideanModulo(ephemerisSettings.longitude + 180, 360) - 180;
+    ephemerisSettings.dayOfYear = MathUtils.clamp(Math.round(ephemerisSettings.dayOfYear), 1, DAYS_PER_YEAR);
+
+    if (ephemerisSettings.localTime && !wasLocalTime) {
+        ephemerisSettings.enabled = true;
+        LocateVisitor();
+    }
+}
+
+// Asks the browser where the visitor is. Without an answer the longitude is guessed from the time zone,
+// which keeps sunrise and sunset within the hour
+function LocateVisitor() {
+    ephemerisSettings.timeZone = -new Date().getTimezoneOffset() / 60;
+
+    const guess = () => SetEphemerisSettings({ longitude: ephemerisSettings.timeZone * DEGREES_PER_HOUR });
+    if (!navigator.geolocation) {
+        guess();
+        return;
+    }
+    navigator.geolocation.getCurrentPosition(
+        (position) => SetEphemerisSettings({ latitude: position.coords.latitude, longitude: position.coords.longitude }),
+        guess
+    );
+}
+
+// Reads the visitor's clock into the settings, returns the local hour (0-24)
+export function SyncWithLocalTime() {
+    const now = new Date();
+    const startOfYear = new Date(now.getFullYear(), 0, 1);
+
+    ephemerisSettings.timeZone = -now.getTimezoneOffset() / 60;
+    ephemerisSettings.dayOfYear = Math.min(Math.floor((now - startOfYear) / 86400000) + 1, DAYS_PER_YEAR);
+    return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+}
+
+// Moves the date on by a day, the year starts over after the last one
+export function NextDay() {
+    ephemerisSettings.dayOfYear = ephemerisSettings.dayOfYear % DAYS_PER_YEAR + 1;
+}
+
+// Sun position at the given local clock hour, from the NOAA solar calculation:
+// hour angle (0 at solar noon, growing towards the west) and declination, in radians
+export function SolarPosition(hour, target = {}) {
+    const { longitude, timeZone, dayOfYear } = ephemerisSettings;
+
+    // Fractional year
+    const g = Math.PI * 2 / DAYS_PER_YEAR * (dayOfYear - 1 + (hour - 12) / 24);
+
+    // Minutes the sundial runs ahead of the clock, from the tilt and the eccentricity of the orbit
+    const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(g) - 0.032077 * Math.sin(g)
+        - 0.014615 * Math.cos(2 * g) - 0.040849 * Math.sin(2 * g));
+
+    target.declination = 0.006918 - 0.399912 * Math.cos(g) + 0.070257 * Math.sin(g)
+        - 0.006758 * Math.cos(2 * g) + 0.000907 * Math.sin(2 * g)
+        - 0.002697 * Math.cos(3 * g) + 0.00148 * Math.sin(3 * g);
+
+    const trueSolarMinutes = hour * 60 + equationOfTime + 4 * longitude - 60 * timeZone;
+    target.hourAngle = MathUtils.degToRad(trueSolarMinutes / 4 - 180);
+    return target;
+}
@@ -9,10 +9,16 @@ import {
     Color,
     BufferGeometry,
     Float32BufferAttribute,
-    Points
+    Points,
+    Quaternion,
+    Vector2,
+    Vector3
 } from "three";
 import { deltaTime, time } from "../scripts/Time.js";
-import { isDayTime } from "./Skybox.js";
+import { GetDaylight } from "./Skybox.js";
+import { ReflectionLayer, SetObjectLayer } from "../scripts/Reflection.js";
+import { rainIntensityUniform } from "./Rain.js";
+import { windDirection, windSpeed } from "./Wind.js";
 
 // Fire effect group - add this to the scene
 export const fire = new Group();
@@ -27,7 +33,10 @@ const FIRE_SCALE = 1.3;           // Overall fire size
 const FIRE_HEIGHT_OFFSET = 0.7;   // Height above firecamp base
 const FIRE_LIGHT_INTENSITY = 3.0;  // Max light intensity at night
 const FIRE_LIGHT_FLICKER = 0.5;    // How much the light flickers (0-1)
+const FIRE_RAIN_DIMMING = 0.6;     // How much of the light a downpour puts out (0-1)
 const FADE_SPEED = 0.5;            // How fast fire fades in/out
+const FLAME_BEND = 0.02;           // How far the flame tips lean per m/s of wind (world units)
+const FLAME_MAX_BEND = 0.3;        // Lean in a gale, so the flames don't lie flat
 
 // EMBER/SPARK PARTICLE SETTINGS
 const EMBER_COUNT = 10;            // Number of ember particles
@@ -35,6 +44,7 @@ const EMBER_SPEED = 0.4;           // How fast embers rise
 const EMBER_SPREAD = 1.15;         // Horizontal spread of embers
 const EMBER_SIZE = 0.015;          // Size of ember particles
 const EMBER_LIFETIME = 2.5;        // How long each ember lives (seconds)
+const EMBER_WIND_DRIFT = 0.015;    // How fast embers are carried away per m/s of wind (world units per second)
 // ============================================
 
 // Fire visibility (0 = off, 1 = fully on)
@@ -43,13 +53,19 @@ let targetIntensity = 1.0;
 
 // Shader for fire effect
 const fireVertexShader = /*glsl*/`
+    uniform vec2 uBend;
+    
     varying vec2 vUv;
     varying float vHeight;
     
     void main() {
         vUv = uv;
         vHeight = position.y;
-        gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        
+        // Lean downwind, the base stays on the logs and the tips bend the most
+        vec4 worldPos = modelMatrix * vec4(position, 1.0);
+        worldPos.xz += uBend * uv.y * uv.y;
+        gl_Position = projectionMatrix * viewMatrix * worldPos;
     }
 `;
 
@@ -149,7 +165,8 @@ const fireFragmentShader = /*glsl*/`
 // Time uniform for animation
 const fireUniforms = {
     uTime: { value: 0.0 },
-    uIntensity: { value: 0.0 }
+    uIntensity: { value: 0.0 },
+    uBend: { value: new Vector2() }
 };
 
 // ============================================
@@ -230,6 +247,11 @@ let emberVelocities;
 let emberGeometry;
 let emberPoints;
 
+// Wind drift in the space of the fire, which sits inside the scaled and rotated firecamp model
+const emberWind = new Vector3();
+const fireRotation = new Quaternion();
+const fireScale = new Vector3();
+
 function initEmbers() {
     emberPositions = new Float32Array(EMBER_COUNT * 3);
     emberLifes = new Float32Array(EMBER_COUNT);
@@ -291,10 +313,10 @@ function updateEmbers() {
         const i3 = i * 3;
         const vel = emberVelocities[i];
         
-        // Update position - move upward
-        emberPositions[i3] += vel.x * deltaTime;
-        emberPositions[i3 + 1] += vel.y * deltaTime;
-        emberPositions[i3 + 2] += vel.z * deltaTime;
+        // Update position - move upward and drift with the wind
+        emberPositions[i3] += (vel.x + emberWind.x) * deltaTime;
+        emberPositions[i3 + 1] += (vel.y + emberWind.y) * deltaTime;
+        emberPositions[i3 + 2] += (vel.z + emberWind.z) * deltaTime;
         
         // Add gentle wobble
         emberPositions[i3] += Math.sin(time * 3.0 + i * 2.5) * 0.003 * deltaTime * 60;
@@ -370,15 +392,16 @@ export function Start() {
     fireLight.position.copy(fire.position);
     fireLight.position.y += 0.05; // Slightly above fire base
     fire.add(fireLight);
+    SetObjectLayer(fire, ReflectionLayer.effects);
     
-    // Start with fire off (daytime)
+    // Start with fire off, it lights up as the daylight goes
     fireIntensity = 0.0;
-    targetIntensity = isDayTime() ? 0.0 : 1.0;
+    targetIntensity = 1.0 - GetDaylight();
 }
 
 export function Update() {
-    // Update target based on day/night
-    targetIntensity = isDayTime() ? 0.0 : 1.0;
+    // Burn from dusk to dawn, following the clock
+    targetIntensity = 1.0 - GetDaylight();
     
     // Smoothly fade fire intensity
     if (fireIntensity !== targetIntensity) {
@@ -396,16 +419,25 @@ export function Update() {
     fireUniforms.uTime.value = time;
     fireUniforms.uIntensity.value = fireIntensity;
     
+    // Bend the flames with the wind, gusts included
+    const bend = Math.min(windSpeed * FLAME_BEND, FLAME_MAX_BEND);
+    fireUniforms.uBend.value.copy(windDirection).multiplyScalar(bend);
+    
     // Update ember particles
     emberUniforms.uTime.value = time;
     emberUniforms.uIntensity.value = fireIntensity;
     if (fireIntensity > 0.01) {
+        fire.getWorldQuaternion(fireRotation).invert();
+        fire.getWorldScale(fireScale);
+        emberWind.set(windDirection.x, 0, windDirection.y)
+            .multiplyScalar(windSpeed * EMBER_WIND_DRIFT / fireScale.x)
+            .applyQuaternion(fireRotation);
         updateEmbers();
     }
     
     // Update point light with flicker effect
     const flicker = 1.0 + (Math.sin(time * 15.0) * 0.3 + Math.sin(time * 23.0) * 0.2) * FIRE_LIGHT_FLICKER;
-    fireLight.intensity = fireIntensity * FIRE_LIGHT_INTENSITY * flicker;
+    fireLight.intensity = fireIntensity * FIRE_LIGHT_INTENSITY * flicker * (1.0 - rainIntensityUniform.value * FIRE_RAIN_DIMMING);
     
     // Animate fire color slightly
     const colorFlicker = 0.9 + Math.sin(time * 10.0) * 0.1;
@@ -0,0 +1,112 @@
+import {
+    HalfFloatType,
+    LinearFilter,
+    Mesh,
+    NoBlending,
+    OrthographicCamera,
+    PlaneGeometry,
+    Scene,
+    ShaderMaterial,
+    Uniform,
+    Vector2,
+    WebGLRenderTarget
+} from "three";
+import * as OceanShaders from "../shaders/OceanShaders.js";
+import * as oceanMaterials from "../materials/OceanMaterial.js";
+import { camera, renderer } from "../scripts/Scene.js";
+import { deltaTime, timeUniform } from "../scripts/Time.js";
+
+// ============================================
+// FOAM SETTINGS (easily tweakable)
+// ============================================
+const FOAM_MAP_SIZE = 512;         // Foam map resolution (texels per side)
+const MAX_DELTA_TIME = 0.1;        // Longer frames (e.g. after a hidden tab) are clamped
+// ============================================
+
+// Foam is accumulated by ping-ponging between two render targets
+const targets = [];
+let current = 0;
+
+const simulationScene = new Scene();
+const simulationCamera = new OrthographicCamera(-1, 1, 1, -1, 0, 1);
+const simulationMaterial = new ShaderMaterial();
+
+const previousUniform = new Uniform(null);
+const previousOriginUniform = new Uniform(new Vector2());
+const deltaTimeUniform = new Uniform(0);
+
+export function Start() {
+    for (let i = 0; i < 2; i++) {
+        targets.push(new WebGLRenderTarget(FOAM_MAP_SIZE, FOAM_MAP_SIZE, {
+            type: HalfFloatType,
+            minFilter: LinearFilter,
+            magFilter: LinearFilter,
+            depthBuffer: false
+        }));
+    }
+
+    simulationMaterial.vertexShader = OceanShaders.foamVertex;
+    simulationMaterial.fragmentShader = OceanShaders.foamFragment;
+    simulationMaterial.blending = NoBlending;
+    simulationMaterial.depthTest = false;
+    simulationMaterial.depthWrite = false;
+    simulationMaterial.uniforms = {
+        _Time: timeUniform,
+        _FoamPrevious: previousUniform,
+        _FoamOrigin: oceanMaterials.foamOriginUniform,
+        _FoamPreviousOrigin: previousOriginUniform,
+        _FoamArea: oceanMaterials.foamAreaUniform,
+        _FoamDecay: oceanMaterials.foamDecayUniform,
+        _FoamGrowth: oceanMaterials.foamGrowthUniform,
+        _WhitecapSlope: oceanMaterials.whitecapSlopeUniform,
+        _WhitecapJacobian: oceanMaterials.whitecapJacobianUniform,
+        _DeltaTime: deltaTimeUniform,
+        uBigWavesElevation: oceanMaterials.bigWavesElevationUniform,
+        uBigWavesFrequency: oceanMaterials.bigWavesFrequencyUniform,
+        uBigWavesSpeed: oceanMaterials.bigWavesSpeedUniform,
+        uSmallWavesElevation: oceanMaterials.smallWavesElevationUniform,
+        uSmallWavesFrequency: oceanMaterials.smallWavesFrequencyUniform,
+        uSmallWavesSpeed: oceanMaterials.smallWavesSpeedUniform,
+        uSmallIterations: oceanMaterials.smallIterationsUniform,
+        uWaveDirection: oceanMaterials.waveDirectionUniform,
+        _SpectrumNormal: oceanMaterials.spectrumNormalUniform,
+        _SpectrumPatchSize: oceanMaterials.spectrumPatchSizeUniform,
+        _SpectrumBlend: oceanMaterials.spectrumBlendUniform
+    };
+
+    const quad = new Mesh(new PlaneGeometry(2, 2), simulationMaterial);
+    quad.frustumCulled = false;
+    simulationScene.add(quad);
+
+    // Start without any foam
+    const previousTarget = renderer.getRenderTarget();
+    for (const target of targets) {
+        renderer.setRenderTarget(target);
+        renderer.clear(true, false, false);
+    }
+    renderer.setRenderTarget(previousTarget);
+
+    oceanMaterials.foamMapUniform.value = targets[current].texture;
+}
+
+export function Update() {
+    // Follow the camera, snapped to whole texels so the foam does not swim
+    const texelSize = oceanMaterials.foamAreaUniform.value / FOAM_MAP_SIZE;
+    const origin = oceanMaterials.foamOriginUniform.value;
+    previousOriginUniform.value.copy(origin);
+    origin.set(
+        Math.round(camera.position.x / texelSize) * texelSize,
+        Math.round(camera.position.z / texelSize) * texelSize
+    );
+
+    deltaTimeUniform.value = Math.min(deltaTime, MAX_DELTA_TIME);
+    previousUniform.value = targets[current].texture;
+    current = 1 - current;
+
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(targets[current]);
+    renderer.render(simulationScene, simulationCamera);
+    renderer.setRenderTarget(previousTarget);
+
+    oceanMaterials.foamMapUniform.value = targets[current].texture;
+}
@@ -1,8 +1,12 @@
-import { Group, Vector3, TextureLoader, RepeatWrapping, SRGBColorSpace, MeshStandardMaterial } from "three";
+import { Group, Vector3, TextureLoader, RepeatWrapping, SRGBColorSpace, MeshStandardMaterial, Uniform } from "three";
 import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
-import { oceanAbsorptionUniform } from "../materials/OceanMaterial.js";
-import { lightUniform, sunVisibilityUniform } from "../materials/SkyboxMaterial.js";
-import { deltaTime } from "../scripts/Time.js";
+import { causticsUniform, oceanAbsorptionUniform, oceanScatteringUniform, seaLevelUniform, surfaceRefractionUniform, waterlineActiveUniform, waterlineSlopeUniform, waterlineUniform } from "../materials/OceanMaterial.js";
+import { screenSizeUniform } from "../scripts/Prepass.js";
+import { cloudAltitudeUniform, cloudCoverageUniform, cloudDensityUniform, cloudOffsetUniform, cloudShadowsUniform, fogDistanceUniform, lightUniform, sunVisibilityUniform } from "../materials/SkyboxMaterial.js";
+import { deltaTime, timeUniform } from "../scripts/Time.js";
+import { dirToLight } from "./Skybox.js";
+import { ReflectionLayer, SetObjectLayer } from "../scripts/Reflection.js";
+import { wetnessUniform } from "./Rain.js";
 
 export const island = new Group();
 export const firecamp = new Group();
@@ -59,6 +63,22 @@ const ROCKS_BLEND_START = -0.2;
 const ROCKS_BLEND_END = 0.21;
 // ============================================
 
+// ============================================
+// WET SURFACE SETTINGS (easily tweakable)
+// ============================================
+// How much darker the textures get when soaked (0-1)
+const WET_DARKENING = 0.45;
+// Roughness of the soaked surfaces (lower = shinier)
+const WET_ROUGHNESS = 0.35;
+// Height of the band above the water line kept wet by the waves washing up (world units)
+const WET_SAND_BAND = 0.08;
+// How fast the wet line follows the water down when the tide goes out (world units per second)
+const TIDE_DRYING_SPEED = 0.002;
+// ============================================
+
+// Highest water line since the sand last dried, it only creeps down behind an ebbing tide
+const wetLineUniform = new Uniform(0.0);
+
 // Texture blend state
 let currentTexture = 'sand'; // 'sand' or 'concrete'
 let textureBlend = 0.0; // 0 = sand, 1 = concrete
@@ -102,12 +122,29 @@ const oceanLightingPars = /*glsl*/`
     // Ocean lighting uniforms
     uniform vec3 uLight;
     uniform vec3 uAbsorption;
+    uniform vec3 uScattering;
     uniform float uSunVisibility;
+    uniform float uSurfaceRefraction;
+    uniform float uTime;
+    uniform vec3 uDirToLight;
+    uniform vec3 uCaustics;
+    uniform float uFogDistance;
+    uniform float uSeaLevel;
+
+    #include <caustics>
+    #include <waterline>
+    #include <clouds>
+    
+    // Linear to sRGB, the same transfer as three's sRGBTransferOETF
+    vec4 encodeSRGB(vec4 color) {
+        vec3 c = max(color.rgb, 0.0);
+        return vec4(mix(pow(c, vec3(0.41666)) * 1.055 - vec3(0.055), c * 12.92, vec3(lessThanEqual(c, vec3(0.0031308)))), color.a);
+    }
     
     // Constants for underwater effects
     const float MAX_VIEW_DEPTH = 80.0;
     const float DENSITY = 0.35;
-    const float FOG_DISTANCE = 600.0;
+    const float FOG_DISTANCE_SCALE = 0.6;     // The island fades a bit closer than the ocean fog
 `;
 
 const oceanLightingFragment = /*glsl*/`
@@ -116,25 +153,38 @@ const oceanLightingFragment = /*glsl*/`
     vec3 viewVec = worldPos - cameraPosition;
     float viewLen = length(viewVec);
     vec3 viewDir = viewVec / viewLen;
+    bool above = isAboveWater(uSeaLevel);
+    float cameraY = waterSideHeight(above, uSeaLevel);
+
+    // Shadows of the cloud deck. The sun gives most of the light by day, so dimming all of it reads right
+    float cloudShade = cloudShadow(worldPos, uDirToLight);
+    outgoingLight *= mix(1.0, cloudShade, uSunVisibility);
+
+    // Sunlight patterns focused by the waves (none above water)
+    outgoingLight *= 1.0 + caustics(worldPos - vec3(0.0, uSeaLevel, 0.0), uDirToLight, uTime, uCaustics.x, uCaustics.y, uCaustics.z) * uSunVisibility * cloudShade;
     
     // Above water - apply atmospheric fog
-    if (worldPos.y > 0.0) {
+    if (worldPos.y > uSeaLevel) {
         float fogStartLen = viewLen;
-        if (cameraPosition.y < 0.0) {
-            fogStartLen -= cameraPosition.y / -viewDir.y;
+        if (!above) {
+            fogStartLen -= cameraY / -viewDir.y;
         }
         // Simple fog towards horizon
-        float fog = clamp(fogStartLen / FOG_DISTANCE, 0.0, 1.0);
+        float fog = clamp(fogStartLen / (uFogDistance * FOG_DISTANCE_SCALE), 0.0, 1.0);
         fog = fog * fog; // Quadratic falloff
         vec3 horizonColor = mix(vec3(0.07, 0.13, 0.18), vec3(0.7, 0.85, 0.95), uSunVisibility);
         outgoingLight = mix(outgoingLight, horizonColor, fog);
     }
+    // Underwater, seen through the refracting surface - it absorbs along the view path itself
+    else if (uSurfaceRefraction > 0.0 && above) {
+        outgoingLight *= exp((worldPos.y - uSeaLevel) * uAbsorption) * uLight;
+    }
     // Underwater - apply absorption and underwater fog
     else {
         float uwLen = viewLen;
-        float originY = cameraPosition.y;
-        if (cameraPosition.y > 0.0) {
-            uwLen -= cameraPosition.y / -viewDir.y;
+        float originY = cameraY;
+        if (above) {
+            uwLen -= cameraY / -viewDir.y;
             originY = 0.0;
         }
         uwLen = min(uwLen, MAX_VIEW_DEPTH);
@@ -143,10 +193,17 @@ const oceanLightingFragment = /*glsl*/`
         outgoingLight *= underwaterLight;
         // Fade to ocean color at distance
         float uwFog = min(uwLen / MAX_VIEW_DEPTH, 1.0);
-        outgoingLight = mix(outgoingLight, underwaterLight * 0.3, uwFog);
+        outgoingLight = mix(outgoingLight, underwaterLight * uScattering * 0.3, uwFog);
     }
 `;
 
+// The reflection, refraction and post process targets store colors like the screen does, since the ocean
+// and sky shaders output theirs untouched. Three only encodes to sRGB for the canvas and writes linear
+// colors into render targets, so these materials always encode themselves
+const srgbOutputFragment = /*glsl*/`
+    gl_FragColor = encodeSRGB(gl_FragColor);
+`;
+
 // Function to apply ocean lighting AND texture blending to a material
 function applyIslandMaterial(material, blendUniform) {
     if (!material.isMeshStandardMaterial && !material.isMeshPhysicalMaterial && !material.isMeshBasicMaterial) {
@@ -167,7 +224,23 @@ function applyIslandMaterial(material, blendUniform) {
         // === OCEAN LIGHTING UNIFORMS ===
         shader.uniforms.uLight = lightUniform;
         shader.uniforms.uAbsorption = oceanAbsorptionUniform;
+        shader.uniforms.uScattering = oceanScatteringUniform;
         shader.uniforms.uSunVisibility = sunVisibilityUniform;
+        shader.uniforms.uSurfaceRefraction = surfaceRefractionUniform;
+        shader.uniforms.uTime = timeUniform;
+        shader.uniforms.uDirToLight = { value: dirToLight };
+        shader.uniforms.uCaustics = causticsUniform;
+        shader.uniforms.uFogDistance = fogDistanceUniform;
+        shader.uniforms._Waterline = waterlineUniform;
+        shader.uniforms._WaterlineSlope = waterlineSlopeUniform;
+        shader.uniforms._WaterlineActive = waterlineActiveUniform;
+        shader.uniforms._WaterlineScreenSize = screenSizeUniform;
+        shader.uniforms.uSeaLevel = seaLevelUniform;
+        shader.uniforms._CloudOffset = cloudOffsetUniform;
+        shader.uniforms._CloudCoverage = cloudCoverageUniform;
+        shader.uniforms._CloudDensity = cloudDensityUniform;
+        shader.uniforms._CloudAltitude = cloudAltitudeUniform;
+        shader.uniforms._CloudShadows = cloudShadowsUniform;
         
         // === TEXTURE BLENDING UNIFORMS ===
         shader.uniforms.uTextureBlend = blendUniform;
@@ -178,6 +251,13 @@ function applyIslandMaterial(material, blendUniform) {
         shader.uniforms.uRocksBlendStart = { value: ROCKS_BLEND_START };
         shader.uniforms.uRocksBlendEnd = { value: ROCKS_BLEND_END };
         
+        // === RAIN UNIFORMS ===
+        shader.uniforms.uWetness = wetnessUniform;
+        shader.uniforms.uWetDarkening = { value: WET_DARKENING };
+        shader.uniforms.uWetRoughness = { value: WET_ROUGHNESS };
+        shader.uniforms.uWetLine = wetLineUniform;
+        shader.uniforms.uWetBand = { value: WET_SAND_BAND };
+        
         // Store reference to update later
         material.userData.oceanUniforms = shader.uniforms;
         
@@ -213,6 +293,13 @@ function applyIslandMaterial(material, blendUniform) {
             uniform float uRocksBlendStart;
             uniform float uRocksBlendEnd;
             
+            // Rain and tide
+            uniform float uWetness;
+            uniform float uWetDarkening;
+            uniform float uWetRoughness;
+            uniform float uWetLine;
+            uniform float uWetBand;
+            
             // Triplanar mapping function to eliminate UV seams
             vec4 triplanarSample(sampler2D tex, vec3 worldPos, vec3 worldNormal, float scale) {
                 // Calculate blend weights based on normal direction
@@ -254,7 +341,20 @@ function applyIslandMaterial(material, blendUniform) {
             vec4 blendedTexture = mix(rocksColor, topTexture, heightBlend);
             
             // Apply to diffuse color
-            diffuseColor *= blendedTexture;`
+            diffuseColor *= blendedTexture;
+            
+            // Sand the waves wash over, or the tide has just left, is soaked too
+            float wetness = max(uWetness, 1.0 - smoothstep(uWetLine, uWetLine + uWetBand, vWorldPosition.y));
+            
+            // Soaked surfaces are darker
+            diffuseColor.rgb *= 1.0 - wetness * uWetDarkening;`
+        );
+        
+        // Soaked surfaces are also shinier
+        shader.fragmentShader = shader.fragmentShader.replace(
+            '#include <roughnessmap_fragment>',
+            `#include <roughnessmap_fragment>
+            roughnessFactor = mix(roughnessFactor, uWetRoughness, wetness);`
         );
         
         // Inject ocean lighting modifications before output
@@ -263,6 +363,7 @@ function applyIslandMaterial(material, blendUniform) {
             `${oceanLightingFragment}
             #include <dithering_fragment>`
         );
+        shader.fragmentShader = shader.fragmentShader.replace('#include <colorspace_fragment>', srgbOutputFragment);
         
         console.log('Island shader modified with triplanar blending and ocean lighting');
     };
@@ -270,8 +371,8 @@ function applyIslandMaterial(material, blendUniform) {
     material.needsUpdate = true;
 }
 
-// Traverse model and apply ocean lighting to all materials (for firecamp only)
-function applyOceanLightingToModel(model) {
+// Traverse model and apply ocean lighting to all materials (firecamp and floating props)
+export function applyOceanLightingToModel(model) {
     model.traverse((child) => {
         if (child.isMesh && child.material) {
             const materials = Array.isArray(child.material) ? child.material : [child.material];
@@ -282,7 +383,23 @@ function applyOceanLightingToModel(model) {
                     mat.onBeforeCompile = (shader) => {
                         shader.uniforms.uLight = lightUniform;
                         shader.uniforms.uAbsorption = oceanAbsorptionUniform;
+                        shader.uniforms.uScattering = oceanScatteringUniform;
                         shader.uniforms.uSunVisibility = sunVisibilityUniform;
+                        shader.uniforms.uSurfaceRefraction = surfaceRefractionUniform;
+                        shader.uniforms.uTime = timeUniform;
+                        shader.uniforms.uDirToLight = { value: dirToLight };
+                        shader.uniforms.uCaustics = causticsUniform;
+                        shader.uniforms.uFogDistance = fogDistanceUniform;
+                        shader.uniforms._Waterline = waterlineUniform;
+                        shader.uniforms._WaterlineSlope = waterlineSlopeUniform;
+                        shader.uniforms._WaterlineActive = waterlineActiveUniform;
+                        shader.uniforms._WaterlineScreenSize = screenSizeUniform;
+                        shader.uniforms.uSeaLevel = seaLevelUniform;
+                        shader.uniforms._CloudOffset = cloudOffsetUniform;
+                        shader.uniforms._CloudCoverage = cloudCoverageUniform;
+                        shader.uniforms._CloudDensity = cloudDensityUniform;
+                        shader.uniforms._CloudAltitude = cloudAltitudeUniform;
+                        shader.uniforms._CloudShadows = cloudShadowsUniform;
                         
                         shader.vertexShader = shader.vertexShader.replace(
                             '#include <common>',
@@ -305,6 +422,7 @@ function applyOceanLightingToModel(model) {
                             `${oceanLightingFragment}
                             #include <dithering_fragment>`
                         );
+                        shader.fragmentShader = shader.fragmentShader.replace('#include <colorspace_fragment>', srgbOutputFragment);
                     };
                     mat.needsUpdate = true;
                 }
@@ -353,6 +471,7 @@ export function Start() {
         (gltf) => {
             // Apply island textures with blending support
             applyIslandTextures(gltf.scene);
+            SetObjectLayer(gltf.scene, ReflectionLayer.terrain);
             island.add(gltf.scene);
             island.position.set(islandPosition.x, islandPosition.y, islandPosition.z);
             island.scale.setScalar(islandScale);
@@ -371,6 +490,7 @@ export function Start() {
         'models/firecamp2.glb',
         (gltf) => {
             applyOceanLightingToModel(gltf.scene);
+            SetObjectLayer(gltf.scene, ReflectionLayer.props);
             firecamp.add(gltf.scene);
             // Position firecamp on top of island
             firecamp.position.set(
@@ -410,4 +530,8 @@ export function Update() {
             blendUniform.value = textureBlend;
         });
     }
+    
+    // The sand stays wet for a while where the tide went out
+    const seaLevel = seaLevelUniform.value;
+    wetLineUniform.value = Math.max(seaLevel, wetLineUniform.value - TIDE_DRYING_SPEED * deltaTime);
 }
@@ -1,43 +1,57 @@
-import { BufferAttribute, BufferGeometry, Mesh, PlaneGeometry } from "three";
+import { BufferAttribute, BufferGeometry, MathUtils, Mesh, Vector3 } from "three";
 import * as oceanMaterials from "../materials/OceanMaterial.js";
+import * as Spectrum from "./Spectrum.js";
+import * as Foam from "./Foam.js";
+import * as Ripples from "./Ripples.js";
+import * as Wake from "./Wake.js";
+import * as Tide from "./Tide.js";
+import { time } from "../scripts/Time.js";
+import { camera } from "../scripts/Scene.js";
 
 export const surface = new Mesh();
 export const volume = new Mesh();
 
-// Ocean dimensions - sized to cover view from scroll camera
-// Camera at (0, Y, 0) looking down -Z axis
-const oceanWidth = 400;   // X axis (left-right from camera view)
-const oceanDepth = 400;   // Z axis (forward from camera - along -Z)
-const oceanVolumeDepth = 100; // How deep underwater
+// Ocean LOD - concentric rings that follow the camera. The ring radii grow geometrically,
+// so the quads stay square and keep roughly the same size on screen up to the horizon
+const ringSegments = 256;       // Vertices around each ring
+const innerRadius = 0.05;       // Radius of the first ring around the camera
+const outerRadius = 3000;       // Radius of the last ring (camera far is 4000)
+const volumeHalfSize = 2000;    // Half width of the underwater box, kept inside the camera far plane
+const oceanVolumeDepth = 100;   // How deep underwater
+
+// Must match the constants of the waves shader chunk
+const maxSmallWavesIterations = 8;
+const waveNormalOffset = 0.1;
+
+// Horizontal displacement inversion steps and time step used to derive the velocity
+const displacementIterations = 3;
+const velocityTimeStep = 0.02;
 
 export function Start()
 {
     oceanMaterials.Start();
+    Spectrum.Start();
+    Foam.Start();
+    Ripples.Start();
+    Wake.Start();
 
-    // Create surface geometry
-    // PlaneGeometry creates a plane on XY, we rotate to XZ
-    // High segment count for smooth vertex displacement waves
-    const surfaceGeometry = new PlaneGeometry(oceanWidth, oceanDepth, 512, 512);
-    surfaceGeometry.rotateX(-Math.PI / 2); // Now on XZ plane
-
-    surface.geometry = surfaceGeometry;
+    surface.geometry = CreateSurfaceGeometry();
     surface.material = oceanMaterials.surface;
 
-    const halfWidth = oceanWidth / 2;
-    const halfDepth = oceanDepth / 2;
+    const halfSize = volumeHalfSize;
 
     // Volume box - underwater area
     const volumeVertices = new Float32Array
     ([
-        -halfWidth, -oceanVolumeDepth, -halfDepth,
-        halfWidth, -oceanVolumeDepth, -halfDepth,
-        -halfWidth, -oceanVolumeDepth, halfDepth,
-        halfWidth, -oceanVolumeDepth, halfDepth,
-
-        -halfWidth, 0, -halfDepth,
-        halfWidth, 0, -halfDepth,
-        -halfWidth, 0, halfDepth,
-        halfWidth, 0, halfDepth
+        -halfSize, -oceanVolumeDepth, -halfSize,
+        halfSize, -oceanVolumeDepth, -halfSize,
+        -halfSize, -oceanVolumeDepth, halfSize,
+        halfSize, -oceanVolumeDepth, halfSize,
+
+        -halfSize, 0, -halfSize,
+        halfSize, 0, -halfSize,
+        -halfSize, 0, halfSize,
+        halfSize, 0, halfSize
     ]);
 
     const volumeIndices = 
@@ -58,13 +72,243 @@ export function Start()
 
     volume.parent = surface;
     surface.add(volume);
-    
-    // Position ocean in front of camera (camera looks along -Z)
-    // Ocean center at Z = -halfDepth so back edge is at Z = 0 (where camera is)
-    surface.position.set(0, 0, -halfDepth);
+}
+
+function CreateSurfaceGeometry()
+{
+    // Grow each ring by the arc length between two segments
+    const growth = 1 + Math.PI * 2 / ringSegments;
+    const rings = Math.ceil(Math.log(outerRadius / innerRadius) / Math.log(growth)) + 1;
+
+    // Center vertex, then the rings from the inside out
+    const vertices = new Float32Array((1 + rings * ringSegments) * 3);
+    let radius = innerRadius;
+    let v = 3;
+    for (let r = 0; r < rings; r++)
+    {
+        for (let s = 0; s < ringSegments; s++)
+        {
+            const angle = s / ringSegments * Math.PI * 2;
+            vertices[v++] = Math.cos(angle) * radius;
+            vertices[v++] = 0;
+            vertices[v++] = Math.sin(angle) * radius;
+        }
+        radius = Math.min(radius * growth, outerRadius);
+    }
+
+    const indices = [];
+    for (let s = 0; s < ringSegments; s++)
+    {
+        const next = (s + 1) % ringSegments;
+        indices.push(0, 1 + next, 1 + s);
+    }
+    for (let r = 0; r < rings - 1; r++)
+    {
+        const inner = 1 + r * ringSegments;
+        const outer = inner + ringSegments;
+        for (let s = 0; s < ringSegments; s++)
+        {
+            const next = (s + 1) % ringSegments;
+            indices.push(inner + s, inner + next, outer + s);
+            indices.push(inner + next, outer + next, outer + s);
+        }
+    }
+
+    const geometry = new BufferGeometry();
+    geometry.setAttribute("position", new BufferAttribute(vertices, 3));
+    geometry.setIndex(indices);
+    return geometry;
 }
 
 export function Update()
 {   
-    // Ocean is static - no need to follow camera
-}
\ No newline at end of file
+    // Follow the camera, the waves are evaluated in world space so they stay in place.
+    // The rings move with the camera though, so the far ones, whose vertices are far apart,
+    // sample the waves at shifting points and swim slightly
+    Tide.Update();
+    surface.position.set(camera.position.x, oceanMaterials.seaLevelUniform.value, camera.position.z);
+
+    Spectrum.Update();
+    Foam.Update();
+    Ripples.Update();
+    Wake.Update();
+    oceanMaterials.UpdateCaustics();
+}
+
+// Surface queries - a CPU port of surfaceVertex so gameplay code can follow the rendered waves
+
+function mod289(x)
+{
+    return x - Math.floor(x / 289) * 289;
+}
+
+function permute(x)
+{
+    return mod289((x * 34 + 1) * x);
+}
+
+function fract(x)
+{
+    return x - Math.floor(x);
+}
+
+function fade(t)
+{
+    return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function taylorInvSqrt(r)
+{
+    return 1.79284291400159 - 0.85373472095314 * r;
+}
+
+const cornerX = [0, 1, 0, 1];
+const cornerY = [0, 0, 1, 1];
+const gradient = [0, 0, 0];
+
+// Gradient of the lattice corner hashed to p, normalized the same way as the shader
+function cornerGradient(p)
+{
+    let gx = p / 7;
+    let gy = fract(Math.floor(gx) / 7) - 0.5;
+    gx = fract(gx);
+    const gz = 0.5 - Math.abs(gx) - Math.abs(gy);
+    if (gz <= 0)
+    {
+        gx -= gx < 0 ? -0.5 : 0.5;
+        gy -= gy < 0 ? -0.5 : 0.5;
+    }
+    const norm = taylorInvSqrt(gx * gx + gy * gy + gz * gz);
+    gradient[0] = gx * norm;
+    gradient[1] = gy * norm;
+    gradient[2] = gz * norm;
+    return gradient;
+}
+
+const corners = new Float32Array(8);
+
+// Classic Perlin 3D noise by Stefan Gustavson, same as cnoise in the waves chunk
+function cnoise(x, y, z)
+{
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const z0 = Math.floor(z);
+    const fx = x - x0;
+    const fy = y - y0;
+    const fz = z - z0;
+
+    for (let i = 0; i < 4; i++)
+    {
+        const ix = mod289(x0 + cornerX[i]);
+        const iy = mod289(y0 + cornerY[i]);
+        const ixy = permute(permute(ix) + iy);
+
+        for (let k = 0; k < 2; k++)
+        {
+            const g = cornerGradient(permute(ixy + mod289(z0 + k)));
+            corners[k * 4 + i] = g[0] * (fx - cornerX[i]) + g[1] * (fy - cornerY[i]) + g[2] * (fz - k);
+        }
+    }
+
+    const u = fade(fx);
+    const v = fade(fy);
+    const w = fade(fz);
+    const n00 = corners[0] + (corners[4] - corners[0]) * w;
+    const n10 = corners[1] + (corners[5] - corners[1]) * w;
+    const n01 = corners[2] + (corners[6] - corners[2]) * w;
+    const n11 = corners[3] + (corners[7] - corners[3]) * w;
+    const n0 = n00 + (n01 - n00) * v;
+    const n1 = n10 + (n11 - n10) * v;
+    return 2.2 * (n0 + (n1 - n0) * u);
+}
+
+// Same as waveElevation in the waves chunk
+function waveElevation(x, z, t)
+{
+    const frequency = oceanMaterials.bigWavesFrequencyUniform.value;
+    const bigSpeed = oceanMaterials.bigWavesSpeedUniform.value;
+    const smallFrequency = oceanMaterials.smallWavesFrequencyUniform.value;
+    const smallSpeed = oceanMaterials.smallWavesSpeedUniform.value;
+    const smallElevation = oceanMaterials.smallWavesElevationUniform.value;
+    const iterations = oceanMaterials.smallIterationsUniform.value;
+
+    const direction = oceanMaterials.waveDirectionUniform.value;
+    const windX = -(x * direction.x + z * direction.y);
+    const windZ = -(z * direction.x - x * direction.y);
+
+    let elevation = Math.sin(windX * frequency.x + t * bigSpeed) *
+                    Math.sin(windZ * frequency.y + t * bigSpeed) *
+                    oceanMaterials.bigWavesElevationUniform.value;
+
+    for (let i = 1; i <= maxSmallWavesIterations; i++)
+    {
+        if (i > iterations) break;
+        elevation -= Math.abs(cnoise(x * smallFrequency * i, z * smallFrequency * i, t * smallSpeed) * smallElevation / i);
+    }
+
+    return elevation;
+}
+
+// Same as the LOD fade in surfaceVertex
+function lodFade(x, z)
+{
+    const fade = oceanMaterials.lodFadeUniform.value;
+    const t = MathUtils.clamp((Math.hypot(x - camera.position.x, z - camera.position.z) - fade.x) / (fade.y - fade.x), 0, 1);
+    return 1 - t * t * (3 - 2 * t);
+}
+
+const spectrumSample = Spectrum.SampleSpectrum(0, 0);
+const spectrumNormal = new Vector3();
+
+/**
+ * Returns the rendered ocean surface above the world position (x, z) at time t:
+ * height (world Y), unit normal and the velocity of the water particle there.
+ * The spectral waves are always taken from the latest simulated frame.
+ * The interactive ripples are left out on purpose: their heights only live in a GPU render target,
+ * reading it back for every query would stall the frame, and the splashes are a few centimetres high.
+ * Pass a target ({ height, normal, velocity }) to avoid allocations when calling every frame.
+ */
+export function SampleOcean(x, z, t = time, target = { height: 0, normal: new Vector3(), velocity: new Vector3() })
+{
+    // The spectrum moves vertices sideways, find the undisplaced position that ends up above (x, z)
+    let px = x;
+    let pz = z;
+    for (let i = 0; i < displacementIterations; i++)
+    {
+        Spectrum.SampleSpectrum(px, pz, spectrumSample);
+        const lod = lodFade(px, pz);
+        px = x - spectrumSample.displacement.x * lod;
+        pz = z - spectrumSample.displacement.z * lod;
+    }
+    Spectrum.SampleSpectrum(px, pz, spectrumSample);
+    const lod = lodFade(px, pz);
+
+    const elevation = waveElevation(px, pz, t);
+    target.height = surface.position.y + (elevation + spectrumSample.displacement.y) * lod;
+
+    // Wave normal, then the spectrum slopes blended on top like the surface fragment shader does
+    const dx = waveElevation(px + waveNormalOffset, pz, t) - elevation;
+    const dz = waveElevation(px, pz + waveNormalOffset, t) - elevation;
+    target.normal.set(-dx, waveNormalOffset, -dz).normalize();
+    target.normal.set(target.normal.x * lod, 1 + (target.normal.y - 1) * lod, target.normal.z * lod).normalize();
+
+    const blend = oceanMaterials.spectrumBlendUniform.value;
+    spectrumNormal.set(-spectrumSample.slope.x, 1, -spectrumSample.slope.y).normalize();
+    spectrumNormal.set(spectrumNormal.x * blend, 1 + (spectrumNormal.y - 1) * blend, spectrumNormal.z * blend).normalize();
+    target.normal.set(target.normal.x + spectrumNormal.x, target.normal.y * spectrumNormal.y, target.normal.z + spectrumNormal.z).normalize();
+
+    const rate = (waveElevation(px, pz, t + velocityTimeStep) - waveElevation(px, pz, t - velocityTimeStep)) / (2 * velocityTimeStep);
+    target.velocity.copy(spectrumSample.velocity);
+    target.velocity.y += rate;
+    target.velocity.multiplyScalar(lod);
+
+    return target;
+}
+
+const heightSample = { height: 0, normal: new Vector3(), velocity: new Vector3() };
+
+// Shorthand for when only the height is needed
+export function GetOceanHeight(x, z, t = time)
+{
+    return SampleOcean(x, z, t, heightSample).height;
+}
@@ -0,0 +1,170 @@
+import {
+    BufferAttribute,
+    DoubleSide,
+    InstancedBufferAttribute,
+    InstancedBufferGeometry,
+    MathUtils,
+    Mesh,
+    ShaderMaterial,
+    Uniform,
+    Vector2,
+    Vector3
+} from "three";
+import { lightUniform, overcastUniform } from "../materials/SkyboxMaterial.js";
+import { seaLevelUniform } from "../materials/OceanMaterial.js";
+import { deltaTime, timeUniform } from "../scripts/Time.js";
+import { seaStateValues } from "./SeaState.js";
+
+// Rain streaks around the camera - add this to the scene
+export const rain = new Mesh();
+
+// Rain intensity as shown on screen (0-1), eased towards rainIntensity
+export const rainIntensityUniform = new Uniform(0);
+// How wet the island is, follows the rain slowly and dries even slower
+export const wetnessUniform = new Uniform(0);
+
+// ============================================
+// RAIN SETTINGS (easily tweakable)
+// ============================================
+const MAX_STREAKS = 6000;          // Streaks drawn at full intensity
+const RAIN_AREA_SIZE = 8;          // Width of the box of rain around the camera
+const RAIN_AREA_HEIGHT = 5;        // Height of the box of rain around the camera
+const FALL_SPEED = 2.0;            // World units per second (1 unit = 10 m, sped up to read as rain)
+const SLANT = new Vector2(0.3, 0.1); // Horizontal drift of the drops
+const STREAK_LENGTH = 0.12;
+const STREAK_WIDTH = 0.004;
+const STREAK_OPACITY = 0.35;
+const INTENSITY_FADE_SPEED = 0.5;  // How fast the rain sets in and stops (per second)
+const WETTING_SPEED = 0.3;         // How fast the island gets wet (per second)
+const DRYING_SPEED = 0.03;         // How fast it dries once the rain has stopped (per second)
+const MAX_OVERCAST = 0.8;          // How much of the sky the rain clouds hide at full intensity
+// ============================================
+
+// Target intensity (0 = clear, 1 = downpour)
+export let rainIntensity = 0;
+
+export function SetRainIntensity(value) {
+    rainIntensity = MathUtils.clamp(value, 0, 1);
+}
+
+const rainVertexShader = /*glsl*/`
+    uniform float uTime;
+    uniform vec3 uArea;
+    uniform float uFallSpeed;
+    uniform vec2 uSlant;
+    uniform float uLength;
+    uniform float uWidth;
+    uniform float uSeaLevel;
+
+    // xyz = position in the rain box (0-1), w = speed variation
+    attribute vec4 offset;
+
+    varying vec2 vStreak;
+    varying float vFade;
+
+    void main() {
+        vec3 velocity = vec3(uSlant.x, -uFallSpeed, uSlant.y) * offset.w;
+
+        // Drops fall through a box that wraps around the camera, so they stay put in the world
+        vec3 corner = cameraPosition - uArea * 0.5;
+        vec3 pos = offset.xyz * uArea + velocity * uTime;
+        pos = corner + mod(pos - corner, uArea);
+
+        // Stretch along the fall direction, facing the camera
+        vec3 dir = normalize(velocity);
+        vec3 side = normalize(cross(dir, pos - cameraPosition));
+        pos += side * position.x * uWidth - dir * position.y * uLength;
+        vStreak = position.xy;
+
+        // Fade out towards the box borders, nothing falls under the water
+        vec3 border = abs(pos - cameraPosition) / (uArea * 0.5);
+        vFade = (1.0 - smoothstep(0.7, 1.0, max(border.x, max(border.y, border.z)))) * step(uSeaLevel, pos.y);
+
+        gl_Position = projectionMatrix * viewMatrix * vec4(pos, 1.0);
+    }
+`;
+
+const rainFragmentShader = /*glsl*/`
+    uniform vec3 uLight;
+    uniform float uOpacity;
+
+    varying vec2 vStreak;
+    varying float vFade;
+
+    void main() {
+        // Brightest at the head of the streak
+        float alpha = (1.0 - abs(vStreak.x) * 2.0) * (1.0 - vStreak.y) * vFade * uOpacity;
+        gl_FragColor = vec4(vec3(0.8, 0.85, 0.9) * uLight, alpha);
+    }
+`;
+
+const geometry = new InstancedBufferGeometry();
+
+export function Start() {
+    // One quad per streak, x across (-0.5 to 0.5) and y along (0 = head, 1 = tail)
+    geometry.setAttribute("position", new BufferAttribute(new Float32Array([
+        -0.5, 0, 0,
+        0.5, 0, 0,
+        -0.5, 1, 0,
+        0.5, 1, 0
+    ]), 3));
+    geometry.setIndex([0, 2, 1, 2, 3, 1]);
+
+    const offsets = new Float32Array(MAX_STREAKS * 4);
+    for (let i = 0; i < MAX_STREAKS; i++) {
+        offsets[i * 4] = Math.random();
+        offsets[i * 4 + 1] = Math.random();
+        offsets[i * 4 + 2] = Math.random();
+        offsets[i * 4 + 3] = 0.8 + Math.random() * 0.4;
+    }
+    geometry.setAttribute("offset", new InstancedBufferAttribute(offsets, 4));
+    geometry.instanceCount = 0;
+
+    rain.geometry = geometry;
+    rain.material = new ShaderMaterial({
+        vertexShader: rainVertexShader,
+        fragmentShader: rainFragmentShader,
+        uniforms: {
+            uTime: timeUniform,
+            uArea: { value: new Vector3(RAIN_AREA_SIZE, RAIN_AREA_HEIGHT, RAIN_AREA_SIZE) },
+            uFallSpeed: { value: FALL_SPEED },
+            uSlant: { value: SLANT },
+            uLength: { value: STREAK_LENGTH },
+            uWidth: { value: STREAK_WIDTH },
+            uSeaLevel: seaLevelUniform,
+            uLight: lightUniform,
+            uOpacity: { value: STREAK_OPACITY }
+        },
+        transparent: true,
+        side: DoubleSide,
+        depthWrite: false
+    });
+    rain.name = 'Rain';
+    rain.frustumCulled = false;
+    rain.visible = false;
+}
+
+export function Update() {
+    // Ease the rain in and out
+    const diff = rainIntensity - rainIntensityUniform.value;
+    const step = INTENSITY_FADE_SPEED * deltaTime;
+    if (Math.abs(diff) < step) {
+        rainIntensityUniform.value = rainIntensity;
+    } else {
+        rainIntensityUniform.value += Math.sign(diff) * step;
+    }
+
+    // Wet while it rains, then slowly dry
+    const wetness = wetnessUniform.value;
+    if (rainIntensityUniform.value > wetness) {
+        wetnessUniform.value = Math.min(wetness + WETTING_SPEED * deltaTime, rainIntensityUniform.value);
+    } else {
+        wetnessUniform.value = Math.max(wetness - DRYING_SPEED * deltaTime, rainIntensityUniform.value);
+    }
+
+    // The sea state brings its own clouds, the rain only adds to them
+    overcastUniform.value = Math.max(rainIntensityUniform.value * MAX_OVERCAST, seaStateValues.overcast);
+
+    geometry.instanceCount = Math.round(MAX_STREAKS * rainIntensityUniform.value);
+    rain.visible = geometry.instanceCount > 0;
+}
@@ -0,0 +1,219 @@
+import {
+    HalfFloatType,
+    LinearFilter,
+    Mesh,
+    NoBlending,
+    OrthographicCamera,
+    PlaneGeometry,
+    Raycaster,
+    Scene,
+    ShaderMaterial,
+    Uniform,
+    Vector2,
+    Vector4,
+    WebGLRenderTarget
+} from "three";
+import * as OceanShaders from "../shaders/OceanShaders.js";
+import * as oceanMaterials from "../materials/OceanMaterial.js";
+import { GetOceanHeight, surface } from "./Ocean.js";
+import { camera, renderer } from "../scripts/Scene.js";
+import { PointerPhase, pointers } from "../scripts/Input.js";
+import { deltaTime } from "../scripts/Time.js";
+
+// ============================================
+// RIPPLE SETTINGS (easily tweakable)
+// ============================================
+const RIPPLE_MAP_SIZE = 256;            // Ripple map resolution (texels per side)
+const SIMULATION_STEP = 1 / 60;         // Fixed simulation step (seconds)
+const MAX_SUB_STEPS = 4;                // Frame hitches beyond this are dropped instead of simulated
+const MAX_DROPS = 8;                    // Must match MAX_RIPPLE_DROPS of the ripple shader
+const POINTER_DROP_RADIUS = 0.06;       // Size of the splash when the water is clicked or tapped
+const POINTER_DROP_HEIGHT = -0.02;      // Pushes the water down where it was hit
+const CAMERA_DROP_RADIUS = 0.15;        // Size of the splash when the camera goes through the surface
+const CAMERA_DROP_SCALE = 0.01;         // Splash height per unit of vertical camera speed
+const CAMERA_DROP_MAX_HEIGHT = 0.04;
+const REFINE_ITERATIONS = 4;            // Steps from the flat surface mesh hit to the wavy surface
+// ============================================
+
+// Heights are propagated by ping-ponging between two render targets
+const targets = [];
+let current = 0;
+let accumulator = 0;
+
+const simulationScene = new Scene();
+const simulationCamera = new OrthographicCamera(-1, 1, 1, -1, 0, 1);
+const simulationMaterial = new ShaderMaterial();
+
+const previousUniform = new Uniform(null);
+const previousOriginUniform = new Uniform(new Vector2());
+const deltaTimeUniform = new Uniform(SIMULATION_STEP);
+const dropsUniform = new Uniform([]);
+const dropCountUniform = new Uniform(0);
+
+// Splashes waiting for the next simulation step
+const drops = [];
+const splashedPointers = [];
+let previousCameraSide = null;
+
+const raycaster = new Raycaster();
+const pointerCoords = new Vector2();
+
+// Sends out rings from the world position (x, z). Negative heights push the water down.
+// Only the area around the camera is simulated, splashes outside of it are skipped
+export function AddRipple(x, z, radius, height) {
+    const origin = oceanMaterials.rippleOriginUniform.value;
+    const halfArea = oceanMaterials.rippleAreaUniform.value / 2;
+    if (Math.abs(x - origin.x) > halfArea || Math.abs(z - origin.y) > halfArea) return;
+
+    if (drops.length < MAX_DROPS) {
+        drops.push(new Vector4(x, z, radius, height));
+    }
+}
+
+// Follows the camera, snapped to whole texels so the rings do not swim
+function Recenter() {
+    const texelSize = oceanMaterials.rippleAreaUniform.value / RIPPLE_MAP_SIZE;
+    oceanMaterials.rippleOriginUniform.value.set(
+        Math.round(camera.position.x / texelSize) * texelSize,
+        Math.round(camera.position.z / texelSize) * texelSize
+    );
+}
+
+export function Start() {
+    for (let i = 0; i < 2; i++) {
+        targets.push(new WebGLRenderTarget(RIPPLE_MAP_SIZE, RIPPLE_MAP_SIZE, {
+            type: HalfFloatType,
+            minFilter: LinearFilter,
+            magFilter: LinearFilter,
+            depthBuffer: false
+        }));
+    }
+
+    for (let i = 0; i < MAX_DROPS; i++) {
+        dropsUniform.value.push(new Vector4());
+    }
+
+    simulationMaterial.vertexShader = OceanShaders.rippleVertex;
+    simulationMaterial.fragmentShader = OceanShaders.rippleFragment;
+    simulationMaterial.blending = NoBlending;
+    simulationMaterial.depthTest = false;
+    simulationMaterial.depthWrite = false;
+    simulationMaterial.uniforms = {
+        _RipplePrevious: previousUniform,
+        _RippleOrigin: oceanMaterials.rippleOriginUniform,
+        _RipplePreviousOrigin: previousOriginUniform,
+        _RippleArea: oceanMaterials.rippleAreaUniform,
+        _RippleSpeed: oceanMaterials.rippleSpeedUniform,
+        _RippleDamping: oceanMaterials.rippleDampingUniform,
+        _DeltaTime: deltaTimeUniform,
+        _RippleDrops: dropsUniform,
+        _RippleDropCount: dropCountUniform
+    };
+
+    const quad = new Mesh(new PlaneGeometry(2, 2), simulationMaterial);
+    quad.frustumCulled = false;
+    simulationScene.add(quad);
+
+    // Start with calm water
+    const previousTarget = renderer.getRenderTarget();
+    for (const target of targets) {
+        renderer.setRenderTarget(target);
+        renderer.clear(true, false, false);
+    }
+    renderer.setRenderTarget(previousTarget);
+
+    oceanMaterials.rippleMapUniform.value = targets[current].texture;
+}
+
+// Splash where a new click or tap hits the water
+function UpdatePointers() {
+    for (let i = splashedPointers.length - 1; i >= 0; i--) {
+        const pointer = pointers.find(p => p.id === splashedPointers[i]);
+        if (!pointer || pointer.phase !== PointerPhase.began) {
+            splashedPointers.splice(i, 1);
+        }
+    }
+
+    for (const pointer of pointers) {
+        if (pointer.phase !== PointerPhase.began || splashedPointers.includes(pointer.id)) continue;
+        splashedPointers.push(pointer.id);
+
+        // While the pointer is locked the camera looks where the cursor would be
+        if (document.pointerLockElement) {
+            pointerCoords.set(0, 0);
+        } else {
+            pointerCoords.set(
+                pointer.position.x / window.innerWidth * 2 - 1,
+                -(pointer.position.y / window.innerHeight) * 2 + 1
+            );
+        }
+
+        camera.updateMatrixWorld();
+        surface.updateMatrixWorld();
+        raycaster.setFromCamera(pointerCoords, camera);
+
+        const hit = raycaster.intersectObject(surface, false)[0];
+        if (!hit) continue;
+
+        // The mesh is flat, the waves are displaced on the GPU. Walk along the ray to the wavy surface
+        const ray = raycaster.ray;
+        const point = hit.point;
+        if (Math.abs(ray.direction.y) > 0.001) {
+            for (let j = 0; j < REFINE_ITERATIONS; j++) {
+                const height = GetOceanHeight(point.x, point.z);
+                ray.at((height - ray.origin.y) / ray.direction.y, point);
+            }
+        }
+
+        // Water further out than the simulated area is left still
+        AddRipple(point.x, point.z, POINTER_DROP_RADIUS, POINTER_DROP_HEIGHT);
+    }
+}
+
+// Splash where the camera goes through the surface
+function UpdateCamera() {
+    const side = camera.position.y - GetOceanHeight(camera.position.x, camera.position.z);
+
+    if (previousCameraSide !== null && deltaTime > 0 && Math.sign(side) !== Math.sign(previousCameraSide)) {
+        const verticalSpeed = (side - previousCameraSide) / deltaTime;
+        const height = Math.min(Math.abs(verticalSpeed) * CAMERA_DROP_SCALE, CAMERA_DROP_MAX_HEIGHT);
+        AddRipple(camera.position.x, camera.position.z, CAMERA_DROP_RADIUS, height * Math.sign(verticalSpeed));
+    }
+
+    previousCameraSide = side;
+}
+
+export function Update() {
+    // Splashes are checked against the area simulated this frame
+    Recenter();
+    UpdatePointers();
+    UpdateCamera();
+    const origin = oceanMaterials.rippleOriginUniform.value;
+
+    // Fixed steps keep the wave propagation stable whatever the frame rate
+    accumulator = Math.min(accumulator + deltaTime, SIMULATION_STEP * MAX_SUB_STEPS);
+
+    const previousTarget = renderer.getRenderTarget();
+    while (accumulator >= SIMULATION_STEP) {
+        accumulator -= SIMULATION_STEP;
+
+        // Splashes go into the first step only
+        dropCountUniform.value = drops.length;
+        for (let i = 0; i < drops.length; i++) {
+            dropsUniform.value[i].copy(drops[i]);
+        }
+        drops.length = 0;
+
+        previousUniform.value = targets[current].texture;
+        current = 1 - current;
+
+        renderer.setRenderTarget(targets[current]);
+        renderer.render(simulationScene, simulationCamera);
+
+        // The map now covers the new area
+        previousOriginUniform.value.copy(origin);
+    }
+    renderer.setRenderTarget(previousTarget);
+
+    oceanMaterials.rippleMapUniform.value = targets[current].texture;
+}
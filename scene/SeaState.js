@@ -0,0 +1,177 @@
+import { MathUtils } from "three";
+import * as oceanMaterials from "../materials/OceanMaterial.js";
+import { fogDistanceUniform } from "../materials/SkyboxMaterial.js";
+import { SetSpectrumSettings, spectrumSettings } from "./Spectrum.js";
+import { SetWind, windSettings } from "./Wind.js";
+import { deltaTime } from "../scripts/Time.js";
+
+export const SeaState = {
+    calm: "calm",
+    breezy: "breezy",
+    choppy: "choppy",
+    storm: "storm"
+};
+
+// ============================================
+// SEA STATE SETTINGS (easily tweakable)
+// ============================================
+const TRANSITION_DURATION = 6;     // Seconds to blend from one sea state to the next
+const WIND_UPDATE_INTERVAL = 0.25; // Seconds between wind steps while blending, each one regenerates the spectrum
+
+// Waves are in world units (1 unit = 10 m), wind speed in m/s. Breezy matches the material defaults
+const SEA_STATES = {
+    calm: {
+        bigWavesElevation: 0.03,
+        bigWavesSpeed: 0.4,
+        smallWavesElevation: 0.01,
+        smallWavesSpeed: 0.1,
+        normalMapStrength: 0.4,
+        windSpeed: 3,              // Mean wind speed, also sets how fast the normal maps scroll
+        choppiness: 0.6,
+        foamIntensity: 0.35,       // Shoreline foam
+        whitecapIntensity: 0.3,
+        whitecapSlope: 0.3,        // Steeper slopes needed before the crests break
+        turbidity: 0,              // Sediment stirred up in the water
+        overcast: 0,
+        fogDistance: 1400
+    },
+    breezy: {
+        bigWavesElevation: 0.1,
+        bigWavesSpeed: 0.75,
+        smallWavesElevation: 0.03,
+        smallWavesSpeed: 0.2,
+        normalMapStrength: 0.85,
+        windSpeed: 8,
+        choppiness: 1.0,
+        foamIntensity: 0.55,
+        whitecapIntensity: 0.8,
+        whitecapSlope: 0.15,
+        turbidity: 0,
+        overcast: 0,
+        fogDistance: 1000
+    },
+    choppy: {
+        bigWavesElevation: 0.15,
+        bigWavesSpeed: 1.0,
+        smallWavesElevation: 0.05,
+        smallWavesSpeed: 0.3,
+        normalMapStrength: 1.0,
+        windSpeed: 12,
+        choppiness: 1.2,
+        foamIntensity: 0.7,
+        whitecapIntensity: 0.9,
+        whitecapSlope: 0.1,
+        turbidity: 0.3,
+        overcast: 0.25,
+        fogDistance: 700
+    },
+    storm: {
+        bigWavesElevation: 0.22,
+        bigWavesSpeed: 1.4,
+        smallWavesElevation: 0.08,
+        smallWavesSpeed: 0.45,
+        normalMapStrength: 1.0,
+        windSpeed: 18,
+        choppiness: 1.5,
+        foamIntensity: 0.85,
+        whitecapIntensity: 1.0,
+        whitecapSlope: 0.06,
+        turbidity: 0.8,
+        overcast: 0.7,
+        fogDistance: 350
+    }
+};
+// ============================================
+
+export let seaState = SeaState.breezy;
+
+// Parameters as currently applied, blended between two presets while transitioning
+export const seaStateValues = { overcast: 0, turbidity: 0 };
+
+const from = {};
+let progress = 1;
+let duration = TRANSITION_DURATION;
+let windTimer = 0;
+
+// Reads the parameters from the materials, so a transition starts from whatever is on screen
+function Capture(target) {
+    target.bigWavesElevation = oceanMaterials.bigWavesElevationUniform.value;
+    target.bigWavesSpeed = oceanMaterials.bigWavesSpeedUniform.value;
+    target.smallWavesElevation = oceanMaterials.smallWavesElevationUniform.value;
+    target.smallWavesSpeed = oceanMaterials.smallWavesSpeedUniform.value;
+    target.normalMapStrength = oceanMaterials.normalMapStrengthUniform.value;
+    target.windSpeed = windSettings.speed;
+    target.choppiness = spectrumSettings.choppiness;
+    target.foamIntensity = oceanMaterials.foamIntensityUniform.value;
+    target.whitecapIntensity = oceanMaterials.whitecapIntensityUniform.value;
+    target.whitecapSlope = oceanMaterials.whitecapSlopeUniform.value;
+    target.turbidity = seaStateValues.turbidity;
+    target.overcast = seaStateValues.overcast;
+    target.fogDistance = fogDistanceUniform.value;
+    return target;
+}
+
+function Apply(values, updateWind) {
+    oceanMaterials.bigWavesElevationUniform.value = values.bigWavesElevation;
+    oceanMaterials.bigWavesSpeedUniform.value = values.bigWavesSpeed;
+    oceanMaterials.smallWavesElevationUniform.value = values.smallWavesElevation;
+    oceanMaterials.smallWavesSpeedUniform.value = values.smallWavesSpeed;
+    oceanMaterials.normalMapStrengthUniform.value = values.normalMapStrength;
+    oceanMaterials.foamIntensityUniform.value = values.foamIntensity;
+    oceanMaterials.whitecapIntensityUniform.value = values.whitecapIntensity;
+    oceanMaterials.whitecapSlopeUniform.value = values.whitecapSlope;
+    oceanMaterials.SetTurbidity(values.turbidity);
+    fogDistanceUniform.value = values.fogDistance;
+
+    // Choppiness is cheap, it doesn't regenerate the spectrum
+    if (values.choppiness !== spectrumSettings.choppiness) {
+        SetSpectrumSettings({ choppiness: values.choppiness });
+    }
+    // The wind does, so while blending it only follows in a few steps a second
+    if (updateWind && values.windSpeed !== windSettings.speed) {
+        SetWind({ speed: values.windSpeed });
+    }
+}
+
+function Blend(t, updateWind) {
+    const to = SEA_STATES[seaState];
+
+    for (const key in to) {
+        seaStateValues[key] = MathUtils.lerp(from[key], to[key], t);
+    }
+    Apply(seaStateValues, updateWind);
+}
+
+// Blends every parameter towards the given sea state over the duration (seconds, 0 = at once)
+export function SetSeaState(state, transitionDuration = TRANSITION_DURATION) {
+    if (!SEA_STATES[state]) return;
+
+    seaState = state;
+    Capture(from);
+    progress = 0;
+    duration = transitionDuration;
+    windTimer = 0;
+
+    if (duration <= 0) {
+        progress = 1;
+        Blend(1, true);
+    }
+}
+
+export function Start() {
+    Capture(seaStateValues);
+}
+
+export function Update() {
+    if (progress >= 1) return;
+
+    progress = Math.min(progress + deltaTime / duration, 1);
+
+    // The last step always lands on the new wind
+    windTimer -= deltaTime;
+    const updateWind = windTimer <= 0 || progress >= 1;
+    if (updateWind) {
+        windTimer = WIND_UPDATE_INTERVAL;
+    }
+    Blend(MathUtils.smoothstep(progress, 0, 1), updateWind);
+}
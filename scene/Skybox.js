@@ -1,60 +1,228 @@
 import { BufferAttribute, BufferGeometry, MathUtils, Matrix3, Mesh, Uniform, Vector3 } from "three";
 import * as skyboxMaterial from "../materials/SkyboxMaterial.js";
+import * as Atmosphere from "./Atmosphere.js";
+import { NextDay, SolarPosition, SyncWithLocalTime, ephemerisSettings } from "./Ephemeris.js";
 import { deltaTime } from "../scripts/Time.js";
 import { camera } from "../scripts/Scene.js";
 
 export const skybox = new Mesh();
 export const dirToLight = new Vector3();
+export const moonDirection = new Vector3();
 export const rotationMatrix = new Uniform(new Matrix3());
 
 const halfSize = 2000;
-const speed = 0.05;
-const transitionSpeed = 0.65; // Faster speed for day/night transitions
-const initial = new Vector3(0, 1, 0);
-const axis = new Vector3(1, 0, 0); // Rotate around X axis so sun rises/sets in front of camera
-let angle = -1;
-
-// Day/Night toggle system
-// Angles for day/night sky states
-const dayAngle = Math.PI * 0.35;       // Day sky angle
-const nightAngle = Math.PI * 0.75;     // Night sky angle
-let targetAngle = dayAngle;            // Target angle to reach
-let isTransitioning = false;           // Whether we're transitioning to a target
-let isDay = true;                      // Current state
 
+// World directions the sky is laid out on: north is +X and east is +Z, so the sun rises/sets in front of camera
+const north = new Vector3(1, 0, 0);
+const up = new Vector3(0, 1, 0);
+const west = new Vector3(0, 0, -1);
+const pole = new Vector3();
+const equator = new Vector3();
+const skyX = new Vector3();
+const skyZ = new Vector3();
+
+// Sun position in the turning sky, radians. Without the ephemeris it circles straight overhead on the equator
+const sun = { hourAngle: 0, declination: 0 };
+
+// ============================================
+// DAY/NIGHT CYCLE SETTINGS (easily tweakable)
+// ============================================
+const START_HOUR = 16;             // Hour of the day the scene opens at
+const DAY_HOUR = 16;               // Hour the day/night toggle goes to for the day
+const NIGHT_HOUR = 21;             // Hour the day/night toggle goes to for the night
+const TOGGLE_DURATION = 3;         // Seconds the toggle takes to run the clock to the other hour
+const DAY_LENGTH = 1440;           // Real seconds for a whole day at 1x (1440 = one hour per minute)
+const DUSK_SUN_HEIGHT = -0.1;      // Sun height (sine of its elevation) where the daylight is gone
+const DAY_SUN_HEIGHT = 0.15;       // Sun height where it is full daylight
+const LUNAR_CYCLE = 29.53;         // Days from one new moon to the next
+const START_MOON_PHASE = 0.5;      // Moon phase the scene opens with (0 = new moon, 0.5 = full moon)
+// ============================================
+
+// Time of day in hours (0-24), the sun is at its highest at 12
+let hour = START_HOUR;
+export let dayLength = DAY_LENGTH;
+export let timeScale = 1;
+export let clockPaused = false;
+
+// Clock run started by TweenToHour, null while the clock ticks on its own
+let tween = null;
+
+// Days gone by since the start, for the lunar cycle
+let dayCount = 0;
+// Whether the clock followed the visitor's clock on the last frame
+let localClockRunning = false;
+// 0 = new moon, 0.25 = first quarter, 0.5 = full moon, 0.75 = last quarter
+export let moonPhase = START_MOON_PHASE;
+
+// Latitude the sky turns for, radians. The plain clock puts the viewer on the equator
+function getLatitude() {
+    return ephemerisSettings.enabled ? MathUtils.degToRad(ephemerisSettings.latitude) : 0;
+}
+
+// Sun hour angle (0 at noon, growing towards the west) and declination at the given hour
+function sunPositionAt(h, target) {
+    if (ephemerisSettings.enabled) {
+        return SolarPosition(h, target);
+    }
+    target.hourAngle = (h - 12) / 24 * Math.PI * 2;
+    target.declination = 0;
+    return target;
+}
+
+// World direction of a point of the sky with the given hour angle and declination
+function skyDirection(target, hourAngle, declination, latitude) {
+    pole.set(Math.cos(latitude), Math.sin(latitude), 0);
+    equator.set(-Math.sin(latitude), Math.cos(latitude), 0);
+
+    target.copy(equator).multiplyScalar(Math.cos(hourAngle)).addScaledVector(west, Math.sin(hourAngle));
+    return target.multiplyScalar(Math.cos(declination)).addScaledVector(pole, Math.sin(declination));
+}
+
+const daylightSun = { hourAngle: 0, declination: 0 };
+const daylightDirection = new Vector3();
+
+function daylightAt(h) {
+    sunPositionAt(h, daylightSun);
+    const sunHeight = skyDirection(daylightDirection, daylightSun.hourAngle, daylightSun.declination, getLatitude()).y;
+    return MathUtils.smoothstep(sunHeight, DUSK_SUN_HEIGHT, DAY_SUN_HEIGHT);
+}
+
+// Sun azimuth (degrees from north, through east) and elevation (degrees above the horizon)
+export function GetSunPosition() {
+    return {
+        azimuth: MathUtils.euclideanModulo(MathUtils.radToDeg(Math.atan2(dirToLight.z, dirToLight.x)), 360),
+        elevation: MathUtils.radToDeg(Math.asin(MathUtils.clamp(dirToLight.y, -1, 1)))
+    };
+}
+
+// Runs the clock to the next day or night hour, returns true when heading for the day
 export function toggleDayNight() {
-    isDay = !isDay;
-    targetAngle = isDay ? dayAngle : nightAngle;
-    isTransitioning = true;
-    return isDay;
+    const toDay = !isDayTime();
+    TweenToHour(toDay ? DAY_HOUR : NIGHT_HOUR, TOGGLE_DURATION);
+    return toDay;
 }
 
+// Whether it is day, or the clock is running towards the day
 export function isDayTime() {
-    return isDay;
+    return daylightAt(tween ? tween.to : hour) >= 0.5;
 }
 
-function setSkyRotationMatrix(angle)
+// How much daylight there is (0 = night, 1 = day), fading through dusk and dawn
+export function GetDaylight() {
+    return daylightAt(hour);
+}
+
+// Hour of the day shown by the sky (0-24), the sun is at its highest at 12
+export function getHour() {
+    return hour;
+}
+
+// Jumps straight to the given hour, stops following the visitor's clock
+export function SetHour(value) {
+    tween = null;
+    ephemerisSettings.localTime = false;
+    hour = MathUtils.euclideanModulo(value, 24);
+}
+
+// Runs the clock forward to the given hour over the duration (seconds), through the night if it has to.
+// Stops following the visitor's clock, which would take the hour straight back
+export function TweenToHour(value, duration = TOGGLE_DURATION) {
+    ephemerisSettings.localTime = false;
+    const to = MathUtils.euclideanModulo(value, 24);
+    if (duration <= 0) {
+        SetHour(to);
+        return;
+    }
+    tween = { from: hour, to: to, hours: MathUtils.euclideanModulo(to - hour, 24), duration: duration, progress: 0 };
+}
+
+// Lit fraction of the moon disk (0 = new moon, 1 = full moon)
+export function GetMoonIllumination() {
+    return (1 - Math.cos(moonPhase * Math.PI * 2)) / 2;
+}
+
+// Real seconds a whole day lasts at 1x
+export function SetDayLength(seconds) {
+    dayLength = Math.max(seconds, 1);
+}
+
+// Time-lapse multiplier of the clock
+export function SetTimeScale(value) {
+    timeScale = Math.max(value, 0);
+}
+
+export function SetClockPaused(value) {
+    clockPaused = value;
+}
+
+function UpdateClock() {
+    const previousHour = hour;
+
+    // A new day only starts when the running clock passes midnight. SetHour moving it back doesn't count
+    let newDay = false;
+
+    if (ephemerisSettings.localTime) {
+        tween = null;
+        hour = SyncWithLocalTime();
+        // Switching the local time on just jumps to the visitor's hour
+        newDay = localClockRunning && hour < previousHour;
+    } else if (tween) {
+        const previousHours = tween.from + tween.hours * MathUtils.smootherstep(tween.progress, 0, 1);
+        tween.progress = Math.min(tween.progress + deltaTime / tween.duration, 1);
+        const hours = tween.from + tween.hours * MathUtils.smootherstep(tween.progress, 0, 1);
+        newDay = Math.floor(hours / 24) > Math.floor(previousHours / 24);
+        hour = MathUtils.euclideanModulo(hours, 24);
+        if (tween.progress >= 1) {
+            hour = tween.to;
+            tween = null;
+        }
+    } else if (!clockPaused) {
+        const hours = hour + deltaTime * timeScale * 24 / dayLength;
+        newDay = hours >= 24;
+        hour = MathUtils.euclideanModulo(hours, 24);
+    }
+    localClockRunning = ephemerisSettings.localTime;
+
+    if (newDay) {
+        dayCount++;
+        // The visitor's clock brings its own date
+        if (ephemerisSettings.enabled && !ephemerisSettings.localTime) {
+            NextDay();
+        }
+    }
+    moonPhase = MathUtils.euclideanModulo(START_MOON_PHASE + (dayCount + hour / 24) / LUNAR_CYCLE, 1);
+}
+
+// Places the sun, turns the stars with it around the celestial pole and places the moon
+function UpdateSky()
 {
-    const cos = Math.cos(angle);
-    const cos1 = 1 - cos;
-    const sin = Math.sin(angle);
-    const u = axis;
-    const u2 = axis.clone().multiply(axis);
+    const latitude = getLatitude();
+    sunPositionAt(hour, sun);
+    skyDirection(dirToLight, sun.hourAngle, sun.declination, latitude);
+
+    // Sky frame: the sun on +Y and the pole, squared up against it, on +X. The matrix turns world directions into it
+    skyX.copy(pole).addScaledVector(dirToLight, -Math.sin(sun.declination)).divideScalar(Math.cos(sun.declination));
+    skyZ.crossVectors(skyX, dirToLight);
     rotationMatrix.value.set
     (
-        cos + u2.x * cos1,              u.x * u.y * cos1 - u.z * sin,   u.x * u.z * cos1 + u.y * sin,
-        u.y * u.x * cos1 + u.z * sin,   cos + u2.y * cos1,              u.y * u.z * cos1 - u.x * sin,
-        u.z * u.x * cos1 - u.y * sin,   u.z * u.y * cos1 + u.x * sin,   cos + u2.z * cos1
+        skyX.x,         skyX.y,         skyX.z,
+        dirToLight.x,   dirToLight.y,   dirToLight.z,
+        skyZ.x,         skyZ.y,         skyZ.z
     );
+
+    // The moon trails the sun across the sky by its phase, so it rises opposite the sunset when full.
+    // A full moon rides the opposite side of the equator from the sun, low in summer and high in winter
+    const moonPhaseAngle = moonPhase * Math.PI * 2;
+    skyDirection(moonDirection, sun.hourAngle - moonPhaseAngle, sun.declination * Math.cos(moonPhaseAngle), latitude);
 }
 
 export function Start()
 {
-    // Start at day position
-    angle = dayAngle;
+    // Start at the opening hour
+    UpdateSky();
     
-    dirToLight.copy(initial);
     skyboxMaterial.Start();
+    Atmosphere.Start();
 
     const vertices = new Float32Array
     ([
@@ -86,36 +254,14 @@ export function Start()
 
     skybox.geometry = geometry;
     skybox.material = skyboxMaterial.material;
-
-    setSkyRotationMatrix(angle);
-    initial.applyMatrix3(rotationMatrix.value);
-    dirToLight.set(-initial.x, initial.y, -initial.z);
-    initial.set(0, 1, 0);
 }
 
 export function Update()
 {   
-    if (isTransitioning) {
-        // Move towards target angle at faster transition speed
-        const diff = targetAngle - angle;
-        const step = deltaTime * transitionSpeed;
-        
-        if (Math.abs(diff) <= step) {
-            // Reached target
-            angle = targetAngle;
-            isTransitioning = false;
-        } else {
-            // Continue moving towards target (always in positive direction for smooth sun movement)
-            angle += step * Math.sign(diff);
-        }
-    }
-    // When not transitioning, the sky stays static at the current angle
-    
-    setSkyRotationMatrix(angle);
-    initial.applyMatrix3(rotationMatrix.value);
-    dirToLight.set(-initial.x, initial.y, -initial.z);
-    initial.set(0, 1, 0);
+    UpdateClock();
+    UpdateSky();
     
     skyboxMaterial.Update();
+    Atmosphere.Update();
     skybox.position.copy(camera.position);
 }
\ No newline at end of file
@@ -0,0 +1,435 @@
+import { DataTexture, DataUtils, HalfFloatType, LinearFilter, RepeatWrapping, RGBAFormat, Vector2, Vector3 } from "three";
+import { Random } from "../scripts/Random.js";
+import { time } from "../scripts/Time.js";
+import { spectrumBlendUniform, spectrumDisplacementUniform, spectrumNormalUniform, spectrumPatchSizeUniform } from "../materials/OceanMaterial.js";
+
+// ============================================
+// SPECTRUM SETTINGS (easily tweakable)
+// ============================================
+const SIZE = 64;                 // FFT grid resolution (must be a power of two)
+const PATCH_SIZE = 256;          // Simulated ocean patch side length in meters
+const WORLD_SCALE = 0.1;         // World units per meter (the island is a ~30m islet at 1:10)
+const SEED = 31;                 // Random seed for the initial wave phases
+const GRAVITY = 9.81;
+const JONSWAP_GAMMA = 3.3;       // Peak enhancement factor
+const PHILLIPS_ALPHA = 0.0081;   // Phillips saturation constant
+const SMALL_WAVE_CUTOFF = 0.5;   // Waves shorter than this (meters) are suppressed
+const UPWIND_FACTOR = 0.07;      // Energy kept by waves travelling against the wind
+// ============================================
+
+export const SpectrumType = {
+    phillips: 'phillips',
+    jonswap: 'jonswap'
+};
+
+// Current spectrum parameters (use SetSpectrumSettings to change them)
+export const spectrumSettings = {
+    type: SpectrumType.jonswap,
+    windSpeed: 8,          // Wind speed 10m above the sea, m/s
+    windDirection: 0,      // Direction the wind blows towards, radians (0 = +X)
+    fetch: 50,             // Distance over which the wind has blown, km
+    choppiness: 1.0        // Horizontal displacement multiplier (0 = rolling sine-like waves)
+};
+
+const count = SIZE * SIZE;
+const dk = 2 * Math.PI / PATCH_SIZE;
+
+// Initial amplitudes h0(k) and conj(h0(-k)), and the dispersion relation per wave vector
+const h0Re = new Float32Array(count);
+const h0Im = new Float32Array(count);
+const h0ConjRe = new Float32Array(count);
+const h0ConjIm = new Float32Array(count);
+const omega = new Float32Array(count);
+const kxNorm = new Float32Array(count);
+const kzNorm = new Float32Array(count);
+const kxs = new Float32Array(count);
+const kzs = new Float32Array(count);
+
+// Scratch space for rebuild. The gaussian phases only depend on the seed, so they are drawn once
+const gaussRe = new Float32Array(count);
+const gaussIm = new Float32Array(count);
+const amplitude = new Float32Array(count);
+let gaussDrawn = false;
+
+// Frequency domain fields, packed two real fields per complex IFFT
+const heightDxRe = new Float32Array(count);
+const heightDxIm = new Float32Array(count);
+const dzSlopeXRe = new Float32Array(count);
+const dzSlopeXIm = new Float32Array(count);
+const slopeZRe = new Float32Array(count);
+const slopeZIm = new Float32Array(count);
+
+// Spatial domain results, in world units
+const heightField = new Float32Array(count);
+const displacementXField = new Float32Array(count);
+const displacementZField = new Float32Array(count);
+const slopeXField = new Float32Array(count);
+const slopeZField = new Float32Array(count);
+
+// Previous frame, used to derive the surface velocity
+const previousHeightField = new Float32Array(count);
+const previousDisplacementXField = new Float32Array(count);
+const previousDisplacementZField = new Float32Array(count);
+let simulationTime = 0;
+let previousSimulationTime = 0;
+
+const displacementData = new Uint16Array(count * 4);
+const normalData = new Uint16Array(count * 4);
+
+// FFT lookup tables
+const bitReversed = new Uint16Array(SIZE);
+const twiddleRe = new Float32Array(SIZE / 2);
+const twiddleIm = new Float32Array(SIZE / 2);
+const lineRe = new Float32Array(SIZE);
+const lineIm = new Float32Array(SIZE);
+
+let displacementTexture;
+let normalTexture;
+
+function createTexture(data) {
+    const texture = new DataTexture(data, SIZE, SIZE, RGBAFormat, HalfFloatType);
+    texture.wrapS = RepeatWrapping;
+    texture.wrapT = RepeatWrapping;
+    texture.magFilter = LinearFilter;
+    texture.minFilter = LinearFilter;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+function initFFT() {
+    const bits = Math.log2(SIZE);
+    for (let i = 0; i < SIZE; i++) {
+        let reversed = 0;
+        for (let b = 0; b < bits; b++) {
+            reversed |= ((i >> b) & 1) << (bits - 1 - b);
+        }
+        bitReversed[i] = reversed;
+    }
+
+    // Positive exponent twiddles: we only ever need the inverse transform
+    for (let i = 0; i < SIZE / 2; i++) {
+        twiddleRe[i] = Math.cos(2 * Math.PI * i / SIZE);
+        twiddleIm[i] = Math.sin(2 * Math.PI * i / SIZE);
+    }
+}
+
+// In-place unnormalized radix-2 inverse FFT of lineRe/lineIm
+function inverseFFT() {
+    for (let i = 0; i < SIZE; i++) {
+        const j = bitReversed[i];
+        if (j > i) {
+            let t = lineRe[i]; lineRe[i] = lineRe[j]; lineRe[j] = t;
+            t = lineIm[i]; lineIm[i] = lineIm[j]; lineIm[j] = t;
+        }
+    }
+
+    for (let size = 2; size <= SIZE; size *= 2) {
+        const half = size / 2;
+        const step = SIZE / size;
+        for (let start = 0; start < SIZE; start += size) {
+            for (let i = 0; i < half; i++) {
+                const a = start + i;
+                const b = a + half;
+                const wr = twiddleRe[i * step];
+                const wi = twiddleIm[i * step];
+                const br = lineRe[b] * wr - lineIm[b] * wi;
+                const bi = lineRe[b] * wi + lineIm[b] * wr;
+                lineRe[b] = lineRe[a] - br;
+                lineIm[b] = lineIm[a] - bi;
+                lineRe[a] += br;
+                lineIm[a] += bi;
+            }
+        }
+    }
+}
+
+// 2D inverse FFT over rows then columns, followed by the (-1)^(x+z) shift that
+// compensates for the wave vectors being centered on the grid
+function inverseFFT2D(re, im) {
+    for (let z = 0; z < SIZE; z++) {
+        const row = z * SIZE;
+        for (let x = 0; x < SIZE; x++) {
+            lineRe[x] = re[row + x];
+            lineIm[x] = im[row + x];
+        }
+        inverseFFT();
+        for (let x = 0; x < SIZE; x++) {
+            re[row + x] = lineRe[x];
+            im[row + x] = lineIm[x];
+        }
+    }
+
+    for (let x = 0; x < SIZE; x++) {
+        for (let z = 0; z < SIZE; z++) {
+            lineRe[z] = re[z * SIZE + x];
+            lineIm[z] = im[z * SIZE + x];
+        }
+        inverseFFT();
+        for (let z = 0; z < SIZE; z++) {
+            const sign = (x + z) % 2 === 0 ? 1 : -1;
+            re[z * SIZE + x] = lineRe[z] * sign;
+            im[z * SIZE + x] = lineIm[z] * sign;
+        }
+    }
+}
+
+// Directional wave number spectrum F(k) in m^4, integrating to the surface height variance
+function sampleSpectrum(k, cosTheta) {
+    const { type, windSpeed, fetch } = spectrumSettings;
+    const fetchMeters = fetch * 1000;
+
+    // Cosine squared spreading, normalized over the half plane facing the wind
+    let spreading = 2 / Math.PI * cosTheta * cosTheta;
+    if (cosTheta < 0) {
+        spreading *= UPWIND_FACTOR;
+    }
+
+    const suppression = Math.exp(-k * k * SMALL_WAVE_CUTOFF * SMALL_WAVE_CUTOFF);
+
+    if (type === SpectrumType.phillips) {
+        const L = windSpeed * windSpeed / GRAVITY;
+        return PHILLIPS_ALPHA / 2 * Math.exp(-1 / (k * k * L * L)) / Math.pow(k, 4) * spreading * suppression;
+    }
+
+    // JONSWAP frequency spectrum converted to wave numbers with the deep water dispersion relation
+    const w = Math.sqrt(GRAVITY * k);
+    const peak = 22 * Math.pow(GRAVITY * GRAVITY / (windSpeed * fetchMeters), 1 / 3);
+    const alpha = 0.076 * Math.pow(windSpeed * windSpeed / (fetchMeters * GRAVITY), 0.22);
+    const sigma = w <= peak ? 0.07 : 0.09;
+    const r = Math.exp(-Math.pow(w - peak, 2) / (2 * sigma * sigma * peak * peak));
+    const s = alpha * GRAVITY * GRAVITY / Math.pow(w, 5) * Math.exp(-1.25 * Math.pow(peak / w, 4)) * Math.pow(JONSWAP_GAMMA, r);
+    return s * (GRAVITY / (2 * w)) / k * spreading * suppression;
+}
+
+function drawGauss() {
+    const random = new Random(SEED);
+    for (let i = 0; i < count; i++) {
+        // Box-Muller transform
+        const u = Math.max(random.Next(), 1e-6);
+        const v = random.Next();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        gaussRe[i] = radius * Math.cos(2 * Math.PI * v);
+        gaussIm[i] = radius * Math.sin(2 * Math.PI * v);
+    }
+    gaussDrawn = true;
+}
+
+// Regenerates the initial amplitudes; the random phases stay the same for a given seed
+function rebuild() {
+    if (!gaussDrawn) {
+        drawGauss();
+    }
+
+    const windX = Math.cos(spectrumSettings.windDirection);
+    const windZ = Math.sin(spectrumSettings.windDirection);
+
+    for (let z = 0; z < SIZE; z++) {
+        for (let x = 0; x < SIZE; x++) {
+            const i = z * SIZE + x;
+            const kx = (x - SIZE / 2) * dk;
+            const kz = (z - SIZE / 2) * dk;
+            const k = Math.sqrt(kx * kx + kz * kz);
+
+            kxs[i] = kx;
+            kzs[i] = kz;
+            kxNorm[i] = k > 0 ? kx / k : 0;
+            kzNorm[i] = k > 0 ? kz / k : 0;
+            omega[i] = Math.sqrt(GRAVITY * k);
+            // The unmatched Nyquist row and column would break the A + iB packing, so they stay empty
+            const nyquist = x === 0 || z === 0;
+            amplitude[i] = k > 0 && !nyquist ? Math.sqrt(sampleSpectrum(k, (kx * windX + kz * windZ) / k) * dk * dk / 2) : 0;
+        }
+    }
+
+    for (let z = 0; z < SIZE; z++) {
+        for (let x = 0; x < SIZE; x++) {
+            const i = z * SIZE + x;
+            // Index of -k
+            const j = ((SIZE - z) % SIZE) * SIZE + (SIZE - x) % SIZE;
+
+            h0Re[i] = gaussRe[i] * amplitude[i];
+            h0Im[i] = gaussIm[i] * amplitude[i];
+            h0ConjRe[i] = gaussRe[j] * amplitude[j];
+            h0ConjIm[i] = -gaussIm[j] * amplitude[j];
+        }
+    }
+}
+
+function simulate(t) {
+    previousHeightField.set(heightField);
+    previousDisplacementXField.set(displacementXField);
+    previousDisplacementZField.set(displacementZField);
+    previousSimulationTime = simulationTime;
+    simulationTime = t;
+
+    for (let i = 0; i < count; i++) {
+        const c = Math.cos(omega[i] * t);
+        const s = Math.sin(omega[i] * t);
+
+        // h(k, t) = h0(k) e^(iwt) + conj(h0(-k)) e^(-iwt)
+        const hr = h0Re[i] * c - h0Im[i] * s + h0ConjRe[i] * c + h0ConjIm[i] * s;
+        const hi = h0Re[i] * s + h0Im[i] * c - h0ConjRe[i] * s + h0ConjIm[i] * c;
+
+        // Choppy displacement i * k / |k| * h and slopes i * k * h
+        const dxr = -kxNorm[i] * hi;
+        const dxi = kxNorm[i] * hr;
+        const dzr = -kzNorm[i] * hi;
+        const dzi = kzNorm[i] * hr;
+        const sxr = -kxs[i] * hi;
+        const sxi = kxs[i] * hr;
+        const szr = -kzs[i] * hi;
+        const szi = kzs[i] * hr;
+
+        // A + iB packing: both fields are real in the spatial domain
+        heightDxRe[i] = hr - dxi;
+        heightDxIm[i] = hi + dxr;
+        dzSlopeXRe[i] = dzr - sxi;
+        dzSlopeXIm[i] = dzi + sxr;
+        slopeZRe[i] = szr;
+        slopeZIm[i] = szi;
+    }
+
+    inverseFFT2D(heightDxRe, heightDxIm);
+    inverseFFT2D(dzSlopeXRe, dzSlopeXIm);
+    inverseFFT2D(slopeZRe, slopeZIm);
+
+    const choppiness = spectrumSettings.choppiness;
+    for (let i = 0; i < count; i++) {
+        heightField[i] = heightDxRe[i] * WORLD_SCALE;
+        displacementXField[i] = heightDxIm[i] * choppiness * WORLD_SCALE;
+        displacementZField[i] = dzSlopeXRe[i] * choppiness * WORLD_SCALE;
+        slopeXField[i] = dzSlopeXIm[i];
+        slopeZField[i] = slopeZRe[i];
+    }
+}
+
+function upload() {
+    const texel = PATCH_SIZE * WORLD_SCALE / SIZE;
+
+    for (let z = 0; z < SIZE; z++) {
+        for (let x = 0; x < SIZE; x++) {
+            const i = z * SIZE + x;
+            const right = z * SIZE + (x + 1) % SIZE;
+            const left = z * SIZE + (x + SIZE - 1) % SIZE;
+            const front = ((z + 1) % SIZE) * SIZE + x;
+            const back = ((z + SIZE - 1) % SIZE) * SIZE + x;
+
+            // Jacobian of the horizontal displacement, below zero where the surface folds over itself
+            const dxdx = (displacementXField[right] - displacementXField[left]) / (2 * texel);
+            const dzdz = (displacementZField[front] - displacementZField[back]) / (2 * texel);
+            const dxdz = (displacementXField[front] - displacementXField[back]) / (2 * texel);
+            const dzdx = (displacementZField[right] - displacementZField[left]) / (2 * texel);
+            const jacobian = (1 + dxdx) * (1 + dzdz) - dxdz * dzdx;
+
+            const j = i * 4;
+            displacementData[j] = DataUtils.toHalfFloat(displacementXField[i]);
+            displacementData[j + 1] = DataUtils.toHalfFloat(heightField[i]);
+            displacementData[j + 2] = DataUtils.toHalfFloat(displacementZField[i]);
+            displacementData[j + 3] = DataUtils.toHalfFloat(1);
+
+            normalData[j] = DataUtils.toHalfFloat(slopeXField[i]);
+            normalData[j + 1] = DataUtils.toHalfFloat(slopeZField[i]);
+            normalData[j + 2] = DataUtils.toHalfFloat(jacobian);
+            normalData[j + 3] = DataUtils.toHalfFloat(1);
+        }
+    }
+
+    displacementTexture.needsUpdate = true;
+    normalTexture.needsUpdate = true;
+}
+
+// Bilinear filtering with repeat wrapping, matching how the GPU samples the spectrum textures
+function sampleField(field, u, v) {
+    const tx = u * SIZE - 0.5;
+    const tz = v * SIZE - 0.5;
+    const x0 = Math.floor(tx);
+    const z0 = Math.floor(tz);
+    const fx = tx - x0;
+    const fz = tz - z0;
+    const xa = ((x0 % SIZE) + SIZE) % SIZE;
+    const za = ((z0 % SIZE) + SIZE) % SIZE;
+    const xb = (xa + 1) % SIZE;
+    const zb = (za + 1) % SIZE;
+
+    const a = field[za * SIZE + xa] * (1 - fx) + field[za * SIZE + xb] * fx;
+    const b = field[zb * SIZE + xa] * (1 - fx) + field[zb * SIZE + xb] * fx;
+    return a * (1 - fz) + b * fz;
+}
+
+// Samples the latest simulated frame at the undisplaced surface position (x, z), already
+// weighted by the spectral mode blend like in the shaders. Fills target.displacement,
+// target.slope and target.velocity, all in world units.
+export function SampleSpectrum(x, z, target = { displacement: new Vector3(), slope: new Vector2(), velocity: new Vector3() }) {
+    const blend = spectrumBlendUniform.value;
+    const patchSize = PATCH_SIZE * WORLD_SCALE;
+    const u = x / patchSize;
+    const v = z / patchSize;
+
+    target.displacement.set(
+        sampleField(displacementXField, u, v),
+        sampleField(heightField, u, v),
+        sampleField(displacementZField, u, v)
+    ).multiplyScalar(blend);
+    target.slope.set(sampleField(slopeXField, u, v), sampleField(slopeZField, u, v));
+
+    const frameTime = simulationTime - previousSimulationTime;
+    if (frameTime > 0) {
+        target.velocity.set(
+            sampleField(previousDisplacementXField, u, v),
+            sampleField(previousHeightField, u, v),
+            sampleField(previousDisplacementZField, u, v)
+        ).multiplyScalar(-blend).add(target.displacement).divideScalar(frameTime);
+    } else {
+        target.velocity.set(0, 0, 0);
+    }
+
+    return target;
+}
+
+export function isSpectrumEnabled() {
+    return spectrumBlendUniform.value > 0;
+}
+
+// Switches between the spectral ocean and the scrolling normal map mode
+export function setSpectrumEnabled(value) {
+    spectrumBlendUniform.value = value ? 1 : 0;
+    if (value) {
+        simulate(time);
+        upload();
+    }
+}
+
+// Merges the given parameters into spectrumSettings and regenerates the spectrum when needed.
+// Choppiness only scales the horizontal displacement while simulating, the amplitudes stay valid
+export function SetSpectrumSettings(settings) {
+    let changed = false;
+    for (const key in settings) {
+        if (key !== "choppiness" && settings[key] !== spectrumSettings[key]) {
+            changed = true;
+        }
+    }
+
+    Object.assign(spectrumSettings, settings);
+    if (changed) {
+        rebuild();
+    }
+}
+
+export function Start() {
+    initFFT();
+    rebuild();
+
+    displacementTexture = createTexture(displacementData);
+    normalTexture = createTexture(normalData);
+    spectrumDisplacementUniform.value = displacementTexture;
+    spectrumNormalUniform.value = normalTexture;
+    spectrumPatchSizeUniform.value = PATCH_SIZE * WORLD_SCALE;
+}
+
+export function Update() {
+    // The normal map mode doesn't need the simulation at all
+    if (!isSpectrumEnabled()) return;
+
+    simulate(time);
+    upload();
+}
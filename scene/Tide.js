@@ -0,0 +1,43 @@
+import { MathUtils } from "three";
+import { seaLevelUniform } from "../materials/OceanMaterial.js";
+import { getHour } from "./Skybox.js";
+import { deltaTime } from "../scripts/Time.js";
+
+// ============================================
+// TIDE SETTINGS (easily tweakable)
+// ============================================
+const TIDE_RANGE = 0.08;           // Height between low and high water (world units, 1 unit = 10 m)
+const TIDE_PERIOD = 12;            // Hours between two high waters, kept to two a day so the cycle follows the sky clock
+const HIGH_TIDE_HOUR = 3;          // Hour of the first high water of the day
+const FADE_SPEED = 0.25;           // How fast the tide comes in or settles when toggled (per second)
+// ============================================
+
+// Height of the still water without the tide
+export let meanSeaLevel = 0;
+export let tidesEnabled = false;
+
+// How much of the tide is applied (0-1), eased towards tidesEnabled
+let tideAmount = 0;
+
+export function SetSeaLevel(value) {
+    meanSeaLevel = value;
+}
+
+export function SetTidesEnabled(value) {
+    tidesEnabled = value;
+}
+
+// Height of the tide over the mean sea level at the given hour of the day
+export function GetTideHeight(hour) {
+    return Math.cos((hour - HIGH_TIDE_HOUR) / TIDE_PERIOD * Math.PI * 2) * TIDE_RANGE * 0.5;
+}
+
+export function Update() {
+    const target = tidesEnabled ? 1 : 0;
+    tideAmount = target > tideAmount
+        ? Math.min(tideAmount + FADE_SPEED * deltaTime, target)
+        : Math.max(tideAmount - FADE_SPEED * deltaTime, target);
+
+    const tide = GetTideHeight(getHour()) * MathUtils.smoothstep(tideAmount, 0, 1);
+    seaLevelUniform.value = meanSeaLevel + tide;
+}
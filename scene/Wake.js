@@ -0,0 +1,130 @@
+import { Vector3 } from "three";
+import * as oceanMaterials from "../materials/OceanMaterial.js";
+import { GetOceanHeight } from "./Ocean.js";
+import { camera } from "../scripts/Scene.js";
+import { deltaTime, time } from "../scripts/Time.js";
+
+// ============================================
+// WAKE SETTINGS (easily tweakable)
+// ============================================
+const RECORD_INTERVAL = 0.2;       // Seconds between two recorded trail points
+const MIN_SPEED = 0.05;            // Slower emitters leave no wake (world units per second)
+const DEFAULT_MAX_HEIGHT = 0.2;    // How far above or below the water an emitter still touches it
+const CAMERA_MAX_HEIGHT = 0.3;     // Same for the camera skimming over the surface in free mode
+// ============================================
+
+const emitters = [];
+const position = new Vector3();
+
+/**
+ * Anything moving on the water that leaves a wake behind.
+ * The path is kept as trails of recorded points, newest first. A trail ends when the emitter
+ * stops or leaves the water, and fades away with the age of its points.
+ */
+export class WakeEmitter {
+    object;
+    maxHeight = DEFAULT_MAX_HEIGHT;
+    trails = [];
+    // Trail currently being recorded, null while the emitter leaves no wake
+    trail = null;
+    previousPosition = new Vector3();
+    // Latest position, used as the head of the active trail. Copied into the trail when recorded
+    head = { x: 0, z: 0, time: 0 };
+
+    constructor(object, options = {}) {
+        this.object = object;
+        this.maxHeight = options.maxHeight ?? DEFAULT_MAX_HEIGHT;
+        object.getWorldPosition(this.previousPosition);
+    }
+
+    update() {
+        this.object.getWorldPosition(position);
+        const speed = Math.hypot(position.x - this.previousPosition.x, position.z - this.previousPosition.z) / deltaTime;
+        this.previousPosition.copy(position);
+
+        const height = GetOceanHeight(position.x, position.z);
+        const emitting = Math.abs(position.y - height) < this.maxHeight && speed > MIN_SPEED;
+        this.head.x = position.x;
+        this.head.z = position.z;
+        this.head.time = time;
+
+        if (emitting) {
+            if (!this.trail) {
+                this.trail = [];
+                this.trails.unshift(this.trail);
+            }
+            if (this.trail.length === 0 || time - this.trail[0].time >= RECORD_INTERVAL) {
+                this.trail.unshift({ ...this.head });
+            }
+        } else if (this.trail) {
+            // Close the trail where the emitter stopped
+            this.trail.unshift({ ...this.head });
+            this.trail = null;
+        }
+
+        // Forget what has faded out
+        const lifetime = oceanMaterials.wakeLifetimeUniform.value;
+        for (const trail of this.trails) {
+            while (trail.length > 0 && time - trail[trail.length - 1].time > lifetime) {
+                trail.pop();
+            }
+        }
+        this.trails = this.trails.filter(trail => trail.length > 0 || trail === this.trail);
+    }
+}
+
+// Makes an object leave a wake while it moves on the water. Options: maxHeight
+export function AddWakeEmitter(object, options = {}) {
+    const emitter = new WakeEmitter(object, options);
+    emitters.push(emitter);
+    return emitter;
+}
+
+export function RemoveWakeEmitter(emitter) {
+    const index = emitters.indexOf(emitter);
+    if (index !== -1) {
+        emitters.splice(index, 1);
+    }
+}
+
+// Packs the trails for the surface shader: xy = position, z = time the emitter passed,
+// w = distance along the trail from its newest point. w drops back to 0 where a new trail starts
+function UploadTrails() {
+    const points = oceanMaterials.wakePointsUniform.value;
+    let count = 0;
+
+    for (const emitter of emitters) {
+        for (const trail of emitter.trails) {
+            let distance = 0;
+            let previous = null;
+
+            // The active trail starts at the head, unless it was just recorded
+            const withHead = trail === emitter.trail && (trail.length === 0 || trail[0].time !== emitter.head.time);
+            for (let i = withHead ? -1 : 0; i < trail.length; i++) {
+                const point = i < 0 ? emitter.head : trail[i];
+                if (count >= points.length) break;
+                if (previous) {
+                    distance += Math.hypot(point.x - previous.x, point.z - previous.z);
+                }
+                points[count++].set(point.x, point.z, point.time, distance);
+                previous = point;
+            }
+        }
+    }
+
+    oceanMaterials.wakePointCountUniform.value = count;
+}
+
+export function Start() {
+    // The free camera churns the water when it skims over it
+    AddWakeEmitter(camera, { maxHeight: CAMERA_MAX_HEIGHT });
+}
+
+export function Update() {
+    if (deltaTime <= 0) return;
+
+    for (const emitter of emitters) {
+        emitter.update();
+    }
+    UploadTrails();
+}
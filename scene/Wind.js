@@ -0,0 +1,76 @@
+import { MathUtils, Vector2 } from "three";
+import * as oceanMaterials from "../materials/OceanMaterial.js";
+import { SetSpectrumSettings, spectrumSettings } from "./Spectrum.js";
+import { time } from "../scripts/Time.js";
+
+// ============================================
+// WIND SETTINGS (easily tweakable)
+// ============================================
+const GUST_STRENGTH = 0.6;         // Speed a gust adds at full gustiness (fraction of the mean speed)
+const GUST_VEER = 0.3;             // How far the wind swings around its direction at full gustiness (radians)
+const GUST_RATE = 1.0;             // Pace of the gusts (1 = a few per minute)
+const WAVE_VELOCITY_SCALE = 0.004375; // Scrolling speed of the normal maps per m/s of wind
+// ============================================
+
+// Wind as set, without the gusts (use SetWind to change it)
+export const windSettings = {
+    direction: 0,      // Direction the wind blows towards, radians (0 = +X, like the spectrum)
+    speed: 8,          // Mean wind speed 10m above the sea, m/s
+    gustiness: 0.3     // How much the wind gusts and swings around (0-1)
+};
+
+// Wind blowing right now, gusts included: unit direction on the xz plane and speed in m/s
+export const windDirection = new Vector2(1, 0);
+export let windSpeed = windSettings.speed;
+
+// How strong the current gust is (0 = lull, 1 = peak)
+export let gust = 0;
+
+// Pushes the mean wind to everything that follows it. Gusts are left out on purpose, the wave
+// patterns would jump every frame if their velocities changed
+function Apply() {
+    const { direction, speed } = windSettings;
+    const x = Math.cos(direction);
+    const z = Math.sin(direction);
+
+    oceanMaterials.waveDirectionUniform.value.x = x;
+    oceanMaterials.waveDirectionUniform.value.y = z;
+
+    // The two normal maps keep crossing at a right angle, the first one runs downwind
+    const velocity = speed * WAVE_VELOCITY_SCALE;
+    oceanMaterials.waveVelocity1Uniform.value.x = x * velocity;
+    oceanMaterials.waveVelocity1Uniform.value.y = z * velocity;
+    oceanMaterials.waveVelocity2Uniform.value.x = -z * velocity;
+    oceanMaterials.waveVelocity2Uniform.value.y = x * velocity;
+
+    // Regenerating the spectrum is the expensive part, skip it when the wind hasn't changed
+    if (speed !== spectrumSettings.windSpeed || direction !== spectrumSettings.windDirection) {
+        SetSpectrumSettings({ windSpeed: speed, windDirection: direction });
+    }
+}
+
+// Changes the wind, only the given settings are replaced. Example: SetWind({ speed: 12, direction: Math.PI / 2 })
+export function SetWind(settings) {
+    Object.assign(windSettings, settings);
+    windSettings.direction = MathUtils.euclideanModulo(windSettings.direction, Math.PI * 2);
+    windSettings.speed = Math.max(windSettings.speed, 0);
+    windSettings.gustiness = MathUtils.clamp(windSettings.gustiness, 0, 1);
+    Apply();
+}
+
+export function Start() {
+    Apply();
+}
+
+export function Update() {
+    // Overlapping slow waves, only their peaks come through as gusts
+    const t = time * GUST_RATE;
+    const noise = (Math.sin(t * 0.9) + Math.sin(t * 2.3 + 1.7) * 0.5 + Math.sin(t * 0.37 + 4.1) * 0.8) / 2.3;
+    gust = Math.max(noise, 0) ** 2;
+
+    const { direction, speed, gustiness } = windSettings;
+    windSpeed = speed * (1 + gust * GUST_STRENGTH * gustiness);
+
+    const veer = Math.sin(t * 0.23 + 0.6) * GUST_VEER * gustiness;
+    windDirection.set(Math.cos(direction + veer), Math.sin(direction + veer));
+}
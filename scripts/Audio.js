@@ -1,4 +1,6 @@
-import { isDayTime } from "../scene/Skybox.js";
+import { GetDaylight } from "../scene/Skybox.js";
+import { rainIntensityUniform } from "../scene/Rain.js";
+import { windSettings, windSpeed } from "../scene/Wind.js";
 
 // ============================================
 // AUDIO SETTINGS (easily tweakable)
@@ -7,8 +9,11 @@ const WATER_VOLUME = 0.15;              // Constant water ambience volume
 const BREEZE_VOLUME = 0.3;             // Soft breeze volume
 const BREEZE_MIN_DELAY = 10;           // Min seconds between breeze sounds
 const BREEZE_MAX_DELAY = 20;           // Max seconds between breeze sounds
-const FIREPLACE_VOLUME_MAX = 0.35;     // Fireplace target volume
+const BREEZE_REFERENCE_WIND = 8;       // Wind speed (m/s) that plays the breeze at the volume and delays above
+const BREEZE_MIN_WIND = 2;             // No breeze below this wind speed (m/s)
+const FIREPLACE_VOLUME_MAX = 0.35;     // Fireplace volume once the fire burns at full strength
 const FIREPLACE_FADE_DURATION = 3.0;   // Seconds to fade in fireplace (desktop only)
+const RAIN_VOLUME_MAX = 0.4;           // Rain ambience volume at full rain intensity
 // ============================================
 
 // Pure HTML5 Audio elements - NO AudioContext connection
@@ -19,6 +24,7 @@ let waterAudio2 = null;
 let activeWaterAudio = null;  // Points to the currently playing water audio
 let breezeAudio = null;
 let fireplaceAudio = null;
+let rainAudio = null;
 
 // Crossfade settings for seamless water loop
 const CROSSFADE_DURATION = 1.0;  // Seconds to crossfade between water loops
@@ -32,13 +38,18 @@ let fireplaceFadeStart = 0;
 // Breeze scheduling
 let breezeTimeout = null;
 
-// Track previous day state to detect transitions
+// Track previous day state to detect dusk and dawn as the clock runs
 let wasDay = true;
 
 // Initialization flags
 let audioInitialized = false;
 let listenersRemoved = false;
 
+// Paused from the lock screen or a headset, the rain must not start again on its own
+let mediaPaused = false;
+// The rain sound was started for the current shower, a refused play() is not retried every frame
+let rainPlaying = false;
+
 // Detect iOS for fade workaround
 const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent) || 
     (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
@@ -72,6 +83,12 @@ function createAudioElements() {
     fireplaceAudio.volume = isIOS ? FIREPLACE_VOLUME_MAX : 0;
     fireplaceAudio.preload = 'auto';
     
+    // Rain sound - follows the rain intensity
+    rainAudio = new Audio('audio/rain.wav');
+    rainAudio.loop = true;
+    rainAudio.volume = 0;
+    rainAudio.preload = 'auto';
+    
     // When breeze ends, schedule the next one
     breezeAudio.addEventListener('ended', () => {
         scheduleBreezeSound();
@@ -82,12 +99,14 @@ function createAudioElements() {
     waterAudio2.addEventListener('error', (e) => console.error('Water audio 2 error:', e));
     breezeAudio.addEventListener('error', (e) => console.error('Breeze audio error:', e));
     fireplaceAudio.addEventListener('error', (e) => console.error('Fireplace audio error:', e));
+    rainAudio.addEventListener('error', (e) => console.error('Rain audio error:', e));
     
     // Preload all audio
     waterAudio1.load();
     waterAudio2.load();
     breezeAudio.load();
     fireplaceAudio.load();
+    rainAudio.load();
     
     console.log('HTML5 Audio elements created (pure, no AudioContext, seamless water loop)');
 }
@@ -157,22 +176,31 @@ function setupMediaSession() {
     
     // Handle media controls
     navigator.mediaSession.setActionHandler('play', () => {
+        mediaPaused = false;
         if (activeWaterAudio) activeWaterAudio.play().catch(() => {});
         if (fireplaceActive && fireplaceAudio) fireplaceAudio.play().catch(() => {});
+        if (rainAudio && rainIntensityUniform.value > 0) {
+            rainPlaying = true;
+            rainAudio.play().catch(() => {});
+        }
         navigator.mediaSession.playbackState = 'playing';
     });
     
     navigator.mediaSession.setActionHandler('pause', () => {
+        mediaPaused = true;
         if (waterAudio1) waterAudio1.pause();
         if (waterAudio2) waterAudio2.pause();
         if (fireplaceAudio) fireplaceAudio.pause();
+        if (rainAudio) rainAudio.pause();
         navigator.mediaSession.playbackState = 'paused';
     });
     
     navigator.mediaSession.setActionHandler('stop', () => {
+        mediaPaused = true;
         if (waterAudio1) { waterAudio1.pause(); waterAudio1.currentTime = 0; }
         if (waterAudio2) { waterAudio2.pause(); waterAudio2.currentTime = 0; }
         if (fireplaceAudio) { fireplaceAudio.pause(); fireplaceAudio.currentTime = 0; }
+        if (rainAudio) { rainAudio.pause(); rainAudio.currentTime = 0; }
         navigator.mediaSession.playbackState = 'none';
     });
     
@@ -197,7 +225,7 @@ function initAudio() {
     scheduleBreezeSound();
     
     // If starting at night, start fireplace
-    if (!isDayTime()) {
+    if (!isDay()) {
         startFireplaceSound();
     }
     
@@ -208,6 +236,11 @@ function initAudio() {
     console.log('Audio system fully initialized (pure HTML5 - iOS background compatible)');
 }
 
+// Day lasts until the fire is out, the flames fade with the same daylight value
+function isDay() {
+    return GetDaylight() >= 1;
+}
+
 function startWaterSound() {
     if (!waterAudio1) return;
     
@@ -228,7 +261,9 @@ function scheduleBreezeSound() {
         clearTimeout(breezeTimeout);
     }
     
-    const delay = BREEZE_MIN_DELAY + Math.random() * (BREEZE_MAX_DELAY - BREEZE_MIN_DELAY);
+    // Stronger and gustier wind brings the breeze back sooner
+    const activity = Math.max(windSettings.speed / BREEZE_REFERENCE_WIND * (0.7 + windSettings.gustiness), 0.25);
+    const delay = (BREEZE_MIN_DELAY + Math.random() * (BREEZE_MAX_DELAY - BREEZE_MIN_DELAY)) / activity;
     
     breezeTimeout = setTimeout(() => {
         playBreezeSound();
@@ -238,7 +273,14 @@ function scheduleBreezeSound() {
 function playBreezeSound() {
     if (!breezeAudio) return;
     
+    // Calm air, wait for the wind to pick up
+    if (windSettings.speed < BREEZE_MIN_WIND) {
+        scheduleBreezeSound();
+        return;
+    }
+    
     breezeAudio.currentTime = 0;
+    updateBreezeSound();
     breezeAudio.play().then(() => {
         console.log('Breeze sound playing');
     }).catch((error) => {
@@ -305,6 +347,33 @@ function stopFireplaceSound() {
     fireplaceFading = false;
 }
 
+// The breeze gets louder with the wind and swells with its gusts
+function updateBreezeSound() {
+    if (!breezeAudio || isIOS) return;
+    
+    breezeAudio.volume = Math.min(BREEZE_VOLUME * windSpeed / BREEZE_REFERENCE_WIND, 1);
+}
+
+// Rain ambience follows the rain intensity, paused while it is dry
+function updateRainSound() {
+    if (!rainAudio) return;
+    
+    const intensity = rainIntensityUniform.value;
+    
+    if (intensity > 0 && !rainPlaying && !mediaPaused) {
+        rainPlaying = true;
+        rainAudio.play().catch((error) => {
+            console.error('Failed to play rain sound:', error);
+        });
+    } else if (intensity <= 0 && rainPlaying) {
+        rainPlaying = false;
+        rainAudio.pause();
+    }
+    
+    // iOS ignores volume changes, the rain plays at full volume there
+    rainAudio.volume = isIOS ? RAIN_VOLUME_MAX : RAIN_VOLUME_MAX * intensity;
+}
+
 // Called when user clicks the START button
 export function startAudio() {
     if (listenersRemoved) return;
@@ -315,37 +384,41 @@ export function startAudio() {
 }
 
 export function Start() {
-    wasDay = isDayTime();
+    wasDay = isDay();
     // Audio is now initialized via startAudio() called from the START button
 }
 
 export function Update() {
     if (!audioInitialized) return;
     
-    const isDay = isDayTime();
+    const day = isDay();
     
     // Detect day -> night transition
-    if (wasDay && !isDay) {
+    if (wasDay && !day) {
         startFireplaceSound();
     }
     
     // Detect night -> day transition
-    if (!wasDay && isDay) {
+    if (!wasDay && day) {
         stopFireplaceSound();
     }
     
-    wasDay = isDay;
+    wasDay = day;
     
-    // Handle fireplace fade-in (desktop only - uses volume property)
-    if (fireplaceFading && fireplaceAudio && !isIOS) {
-        const elapsed = (performance.now() - fireplaceFadeStart) / 1000;
-        const progress = Math.min(elapsed / FIREPLACE_FADE_DURATION, 1.0);
-        const volume = FIREPLACE_VOLUME_MAX * progress;
-        
-        fireplaceAudio.volume = volume;
-        
-        if (progress >= 1.0) {
-            fireplaceFading = false;
+    updateRainSound();
+    updateBreezeSound();
+    
+    // Fireplace follows the flames, with a fade-in when it starts (desktop only - uses volume property)
+    if (fireplaceActive && fireplaceAudio && !isIOS) {
+        let progress = 1.0;
+        if (fireplaceFading) {
+            const elapsed = (performance.now() - fireplaceFadeStart) / 1000;
+            progress = Math.min(elapsed / FIREPLACE_FADE_DURATION, 1.0);
+            if (progress >= 1.0) {
+                fireplaceFading = false;
+            }
         }
+        
+        fireplaceAudio.volume = FIREPLACE_VOLUME_MAX * (1.0 - GetDaylight()) * progress;
     }
 }
@@ -338,7 +338,7 @@ export function Update()
     if (webPageMode) {
         currentY = MathUtils.damp(currentY, targetY, scrollSmooth, deltaTime);
         camera.position.y = currentY;
-        // Keep camera at edge of ocean (where surface is fully transparent)
+        // Keep camera on the scroll axis, in front of the island
         camera.position.x = 0;
         camera.position.z = 0;
     }
@@ -0,0 +1,373 @@
+import {
+    AdditiveBlending,
+    BufferAttribute,
+    BufferGeometry,
+    HalfFloatType,
+    MathUtils,
+    Mesh,
+    NoBlending,
+    OrthographicCamera,
+    PlaneGeometry,
+    Points,
+    Scene,
+    ShaderMaterial,
+    Uniform,
+    Vector2,
+    Vector3,
+    WebGLRenderTarget
+} from "three";
+import { camera, cameraForward, cameraRight, cameraUp, renderer, scene } from "./Scene.js";
+import { deltaTime, timeUniform } from "./Time.js";
+import { screenSizeUniform } from "./Prepass.js";
+import { GetOceanHeight } from "../scene/Ocean.js";
+import { dirToLight } from "../scene/Skybox.js";
+import { lightUniform, sunVisibilityUniform } from "../materials/SkyboxMaterial.js";
+import { oceanAbsorptionUniform, seaLevelUniform, waterlineSlopeUniform, waterlineUniform } from "../materials/OceanMaterial.js";
+
+// Marine snow floating around the camera - add this to the scene
+export const marineSnow = new Points();
+
+// ============================================
+// UNDERWATER POST-PROCESS SETTINGS (easily tweakable)
+// ============================================
+const SHAFT_STRENGTH = 1.5;        // Brightness of the light shafts towards the sun
+const WATER_IOR = 1.33;            // Bends the sun direction under the surface
+const SNOW_COUNT = 1500;           // Marine snow particles
+const SNOW_AREA_SIZE = 6;          // Width of the box of particles around the camera
+const SNOW_SIZE = 0.012;           // Particle size (world units)
+const SNOW_DRIFT = new Vector3(0.02, -0.01, 0.01); // Slow current carrying the particles (units per second)
+const WATERLINE_COLUMNS = 16;      // Must match WATERLINE_COLUMNS of the waterline shader chunk
+const WATERLINE_RANGE = 1;         // Further from the water the whole view is on one side of it
+const DROPLET_LIFETIME = 5;        // Seconds for the droplets on the lens to dry after surfacing
+// ============================================
+
+export let postProcessEnabled = true;
+export let underwater = false;
+export let waterLevel = 0;
+// Whether the water line crosses the view, splitting it between the above and underwater looks
+export let waterlineVisible = false;
+
+export function SetPostProcessEnabled(value) {
+    postProcessEnabled = value;
+}
+
+const postVertexShader = /*glsl*/`
+    varying vec2 vUv;
+
+    void main() {
+        vUv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+const postFragmentShader = /*glsl*/`
+    uniform sampler2D uScene;
+    uniform vec2 uSunPosition;
+    uniform float uShaftStrength;
+    uniform float uTime;
+    uniform float uDroplets;
+    uniform vec2 uScreenSize;
+
+    varying vec2 vUv;
+
+    #include <waterline>
+
+    const int SHAFT_SAMPLES = 32;
+    const float SHAFT_LENGTH = 0.8;        // Fraction of the way to the sun covered by the samples
+    const float SHAFT_DECAY = 0.95;
+    const float SHAFT_THRESHOLD = 0.15;    // Only light brighter than this casts shafts
+    const float WOBBLE_STRENGTH = 0.003;
+    const float WOBBLE_FREQUENCY = 12.0;
+    const float WOBBLE_SPEED = 1.5;
+    const float FRINGE_STRENGTH = 0.02;
+    const float MENISCUS_WIDTH = 0.012;    // Water clinging to the lens along the water line (screen heights)
+    const float MENISCUS_DARKENING = 0.5;
+    const float MENISCUS_REFRACTION = 0.01;
+    const float DROPLET_CELLS = 9.0;       // Cells per screen height, one droplet per cell at most
+    const float DROPLET_COVERAGE = 0.5;    // Share of the cells holding a droplet right after surfacing
+    const float DROPLET_MAGNIFICATION = 0.6;
+    const float DROPLET_SLIDE = 0.25;      // How far the droplets run down their cell while drying
+
+    vec3 dropletHash(vec2 p) {
+        vec3 p3 = fract(vec3(p.xyx) * vec3(0.1031, 0.1030, 0.0973));
+        p3 += dot(p3, p3.yxz + 33.33);
+        return fract((p3.xxy + p3.yzz) * p3.zyx);
+    }
+
+    // Droplets left on the lens after surfacing, they act as tiny lenses flipping the view behind them
+    vec2 calcDroplets(vec2 uv, out float mask) {
+        vec2 scale = vec2(uScreenSize.x / uScreenSize.y, 1.0) * DROPLET_CELLS;
+        vec2 grid = uv * scale;
+        vec3 random = dropletHash(floor(grid));
+
+        // Every droplet dries at its own time
+        float wet = clamp((uDroplets * DROPLET_COVERAGE - random.z) * 8.0, 0.0, 1.0);
+        float radius = mix(0.12, 0.3, fract(random.x * 7.0 + random.y * 3.0));
+        vec2 center = 0.3 + random.xy * 0.4;
+        center.y -= (1.0 - uDroplets) * DROPLET_SLIDE * random.y;
+
+        vec2 delta = fract(grid) - center;
+        float dist = length(delta) / radius;
+        mask = (1.0 - smoothstep(0.8, 1.0, dist)) * wet;
+
+        return -delta / scale * DROPLET_MAGNIFICATION * (1.0 - dist * dist) * mask;
+    }
+
+    void main() {
+        // Distance to the water line, and how much of the pixel is looking from under the water
+        float waterline = waterlineDistance(vUv);
+        float submerged = 1.0 - step(0.0, waterline);
+        float meniscus = 1.0 - smoothstep(0.0, MENISCUS_WIDTH, abs(waterline));
+
+        vec2 uv = vUv;
+        uv.y += meniscus * sign(waterline) * MENISCUS_REFRACTION;
+
+        float droplet = 0.0;
+        if (uDroplets > 0.0) {
+            uv += calcDroplets(vUv, droplet);
+        }
+
+        // Gentle wobble, as if looking through moving water
+        uv += vec2(
+            sin(vUv.y * WOBBLE_FREQUENCY + uTime * WOBBLE_SPEED),
+            cos(vUv.x * WOBBLE_FREQUENCY * 0.8 + uTime * WOBBLE_SPEED * 1.3)
+        ) * WOBBLE_STRENGTH * submerged;
+
+        // Chromatic fringing, growing towards the borders of the screen
+        vec2 fromCenter = uv - 0.5;
+        vec2 fringe = fromCenter * dot(fromCenter, fromCenter) * FRINGE_STRENGTH * submerged;
+        vec3 color = vec3(
+            texture2D(uScene, uv + fringe).r,
+            texture2D(uScene, uv).g,
+            texture2D(uScene, uv - fringe).b
+        );
+
+        // Light shafts - march towards the sun and gather the bright light on the way
+        if (uShaftStrength > 0.0 && submerged > 0.0) {
+            vec2 delta = (uv - uSunPosition) * SHAFT_LENGTH / float(SHAFT_SAMPLES);
+            vec2 coord = uv;
+            float weight = 1.0;
+            vec3 shafts = vec3(0.0);
+
+            for (int i = 0; i < SHAFT_SAMPLES; i++) {
+                coord -= delta;
+                vec3 sampleColor = texture2D(uScene, clamp(coord, 0.0, 1.0)).rgb;
+                shafts += max(sampleColor - SHAFT_THRESHOLD, 0.0) * weight;
+                weight *= SHAFT_DECAY;
+            }
+
+            color += shafts / float(SHAFT_SAMPLES) * uShaftStrength;
+        }
+
+        // Darker rims on the meniscus and the droplets
+        color *= 1.0 - meniscus * MENISCUS_DARKENING;
+        color *= 1.0 - smoothstep(0.5, 1.0, droplet) * (1.0 - droplet) * 0.6;
+
+        gl_FragColor = vec4(color, 1.0);
+    }
+`;
+
+const snowVertexShader = /*glsl*/`
+    uniform float uTime;
+    uniform float uArea;
+    uniform vec3 uDrift;
+    uniform float uSize;
+    uniform vec2 uScreenSize;
+    uniform float uSeaLevel;
+
+    // xyz = position in the particle box (0-1), w = random phase
+    attribute vec4 offset;
+
+    varying float vDepth;
+
+    void main() {
+        // Particles drift through a box that wraps around the camera, so they stay put in the world
+        vec3 corner = cameraPosition - uArea * 0.5;
+        vec3 pos = offset.xyz * uArea + uDrift * uTime;
+        pos += vec3(sin(uTime * 0.5 + offset.w * 6.28), cos(uTime * 0.4 + offset.w * 4.0), sin(uTime * 0.3 + offset.w * 9.0)) * 0.02;
+        pos = corner + mod(pos - corner, uArea);
+        vDepth = pos.y - uSeaLevel;
+
+        vec4 viewPos = viewMatrix * vec4(pos, 1.0);
+        gl_PointSize = uSize * projectionMatrix[1][1] * uScreenSize.y * 0.5 / -viewPos.z;
+        gl_Position = projectionMatrix * viewPos;
+    }
+`;
+
+const snowFragmentShader = /*glsl*/`
+    uniform vec3 uLight;
+    uniform vec3 uAbsorption;
+
+    varying float vDepth;
+
+    void main() {
+        // Only under the water, dimmer the deeper it is
+        if (vDepth > 0.0) discard;
+
+        float alpha = 1.0 - smoothstep(0.2, 0.5, length(gl_PointCoord - 0.5));
+        gl_FragColor = vec4(vec3(0.6) * exp(vDepth * uAbsorption) * uLight, alpha * 0.5);
+    }
+`;
+
+// Holds the colors as they would reach the screen (the island and props encode to sRGB themselves,
+// see Island.js), so the quad writes them out untouched
+const target = new WebGLRenderTarget(1, 1, { type: HalfFloatType });
+const size = new Vector2();
+
+const postScene = new Scene();
+const postCamera = new OrthographicCamera(-1, 1, 1, -1, 0, 1);
+const sunPositionUniform = new Uniform(new Vector2());
+const shaftStrengthUniform = new Uniform(0);
+const dropletsUniform = new Uniform(0);
+
+const sunDirection = new Vector3();
+const sunPosition = new Vector3();
+const nearCenter = new Vector3();
+const columnPoint = new Vector3();
+
+export function Start() {
+    const material = new ShaderMaterial({
+        vertexShader: postVertexShader,
+        fragmentShader: postFragmentShader,
+        uniforms: {
+            uScene: { value: target.texture },
+            uSunPosition: sunPositionUniform,
+            uShaftStrength: shaftStrengthUniform,
+            uTime: timeUniform,
+            uDroplets: dropletsUniform,
+            uScreenSize: screenSizeUniform,
+            _Waterline: waterlineUniform,
+            _WaterlineSlope: waterlineSlopeUniform,
+            _WaterlineActive: { value: 1 },
+            _WaterlineScreenSize: screenSizeUniform
+        },
+        blending: NoBlending,
+        depthTest: false,
+        depthWrite: false
+    });
+
+    const quad = new Mesh(new PlaneGeometry(2, 2), material);
+    quad.frustumCulled = false;
+    postScene.add(quad);
+
+    const offsets = new Float32Array(SNOW_COUNT * 4);
+    for (let i = 0; i < offsets.length; i++) {
+        offsets[i] = Math.random();
+    }
+    const geometry = new BufferGeometry();
+    geometry.setAttribute("position", new BufferAttribute(new Float32Array(SNOW_COUNT * 3), 3));
+    geometry.setAttribute("offset", new BufferAttribute(offsets, 4));
+
+    marineSnow.geometry = geometry;
+    marineSnow.material = new ShaderMaterial({
+        vertexShader: snowVertexShader,
+        fragmentShader: snowFragmentShader,
+        uniforms: {
+            uTime: timeUniform,
+            uArea: { value: SNOW_AREA_SIZE },
+            uDrift: { value: SNOW_DRIFT },
+            uSize: { value: SNOW_SIZE },
+            uScreenSize: screenSizeUniform,
+            uSeaLevel: seaLevelUniform,
+            uLight: lightUniform,
+            uAbsorption: oceanAbsorptionUniform
+        },
+        transparent: true,
+        blending: AdditiveBlending,
+        depthWrite: false
+    });
+    marineSnow.name = 'MarineSnow';
+    marineSnow.frustumCulled = false;
+    marineSnow.visible = false;
+}
+
+// Finds where the waves cross the near plane of the camera. For each column of the screen the
+// shaders get the water height over the middle row, the rows above or below it are out of the water
+function UpdateWaterline() {
+    const columns = waterlineUniform.value;
+    const halfHeight = camera.near * Math.tan(MathUtils.degToRad(camera.fov) / 2);
+    const halfWidth = halfHeight * camera.aspect;
+    waterlineSlopeUniform.value = cameraUp.y * halfHeight;
+
+    if (Math.abs(camera.position.y - waterLevel) > WATERLINE_RANGE) {
+        columns.fill(underwater ? 1000 : -1000);
+        waterlineVisible = false;
+        return;
+    }
+
+    nearCenter.copy(camera.position).addScaledVector(cameraForward, camera.near);
+
+    // Count the top and bottom corners of the columns above the water
+    let aboveCount = 0;
+    for (let i = 0; i < WATERLINE_COLUMNS; i++) {
+        columnPoint.copy(nearCenter).addScaledVector(cameraRight, (i / (WATERLINE_COLUMNS - 1) * 2 - 1) * halfWidth);
+        columns[i] = GetOceanHeight(columnPoint.x, columnPoint.z) - columnPoint.y;
+
+        if (waterlineSlopeUniform.value > columns[i]) aboveCount++;
+        if (-waterlineSlopeUniform.value > columns[i]) aboveCount++;
+    }
+    waterlineVisible = aboveCount > 0 && aboveCount < WATERLINE_COLUMNS * 2;
+}
+
+export function Update() {
+    const wasUnderwater = underwater;
+    waterLevel = GetOceanHeight(camera.position.x, camera.position.z);
+    underwater = camera.position.y < waterLevel;
+
+    UpdateWaterline();
+    marineSnow.visible = (underwater || waterlineVisible) && postProcessEnabled;
+
+    // Coming out of the water leaves droplets on the lens, which slowly dry
+    if (underwater) {
+        dropletsUniform.value = 0;
+    } else if (wasUnderwater) {
+        dropletsUniform.value = 1;
+    } else {
+        dropletsUniform.value = Math.max(dropletsUniform.value - deltaTime / DROPLET_LIFETIME, 0);
+    }
+
+    if (!underwater && !waterlineVisible) return;
+
+    // Sunlight bends down into the water, so the sun looks higher than it is
+    const cosIncident = dirToLight.y;
+    const eta = 1 / WATER_IOR;
+    const k = 1 - eta * eta * (1 - cosIncident * cosIncident);
+    if (cosIncident <= 0 || k < 0) {
+        shaftStrengthUniform.value = 0;
+        return;
+    }
+    sunDirection.set(dirToLight.x * eta, 0, dirToLight.z * eta);
+    sunDirection.y = Math.sqrt(k);
+    sunDirection.normalize();
+
+    // Screen position of the sun, shafts fade out as it leaves the view
+    camera.updateMatrixWorld();
+    sunPosition.copy(camera.position).addScaledVector(sunDirection, camera.far * 0.5).project(camera);
+    sunPositionUniform.value.set(sunPosition.x * 0.5 + 0.5, sunPosition.y * 0.5 + 0.5);
+
+    const facing = Math.min(Math.max(cameraForward.dot(sunDirection) / 0.3, 0), 1);
+    shaftStrengthUniform.value = SHAFT_STRENGTH * facing * sunVisibilityUniform.value * lightUniform.value.x;
+}
+
+// Renders the frame, through the underwater effects when the camera is under or at the surface
+export function Render() {
+    const active = underwater || waterlineVisible || dropletsUniform.value > 0;
+    if (!active || !postProcessEnabled) {
+        renderer.render(scene, camera);
+        return;
+    }
+
+    // Follow the canvas resolution
+    renderer.getDrawingBufferSize(size);
+    if (size.x !== target.width || size.y !== target.height) {
+        target.setSize(size.x, size.y);
+    }
+
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(target);
+    renderer.clear(true, true, false);
+    renderer.render(scene, camera);
+    renderer.setRenderTarget(previousTarget);
+
+    renderer.render(postScene, postCamera);
+}
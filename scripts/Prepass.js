@@ -0,0 +1,44 @@
+import { DepthTexture, HalfFloatType, Uniform, Vector2, WebGLRenderTarget } from "three";
+import { camera, renderer, scene } from "./Scene.js";
+import { surface } from "../scene/Ocean.js";
+
+// Scene color and depth without the water, so the ocean shaders can tell how far behind the
+// surface the opaque geometry is (shoreline foam, soft edges) and refract it
+export const sceneColorUniform = new Uniform(null);
+export const sceneDepthUniform = new Uniform(null);
+export const screenSizeUniform = new Uniform(new Vector2(1, 1));
+export const cameraNearUniform = new Uniform(0.3);
+export const cameraFarUniform = new Uniform(4000);
+
+// Holds the colors as they would reach the screen, like the reflection target, so the refraction
+// matches the island and the sea floor seen directly
+const target = new WebGLRenderTarget(1, 1, { type: HalfFloatType });
+const size = new Vector2();
+
+export function Start() {
+    target.depthTexture = new DepthTexture(1, 1);
+    sceneColorUniform.value = target.texture;
+    sceneDepthUniform.value = target.depthTexture;
+}
+
+export function Update() {
+    // Follow the canvas resolution
+    renderer.getDrawingBufferSize(size);
+    if (!size.equals(screenSizeUniform.value)) {
+        screenSizeUniform.value.copy(size);
+        target.setSize(size.x, size.y);
+    }
+    cameraNearUniform.value = camera.near;
+    cameraFarUniform.value = camera.far;
+
+    const surfaceVisible = surface.visible;
+    surface.visible = false;
+
+    const previousTarget = renderer.getRenderTarget();
+    renderer.setRenderTarget(target);
+    renderer.clear(true, true, false);
+    renderer.render(scene, camera);
+    renderer.setRenderTarget(previousTarget);
+
+    surface.visible = surfaceVisible;
+}
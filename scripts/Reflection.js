@@ -0,0 +1,171 @@
+import { Color, HalfFloatType, Matrix4, PerspectiveCamera, Plane, Uniform, Vector2, Vector3, Vector4, WebGLRenderTarget } from "three";
+import { camera, renderer, scene } from "./Scene.js";
+import { seaLevelUniform, waterlineActiveUniform } from "../materials/OceanMaterial.js";
+
+// Planar reflection of the scene geometry on the water, rendered from a camera mirrored
+// across the sea plane. The ocean blends it over the sky reflection using its alpha.
+export const reflectionMapUniform = new Uniform(null);
+export const reflectionMatrixUniform = new Uniform(new Matrix4());
+export const reflectionStrengthUniform = new Uniform(0);
+
+// Object categories, each on its own layer so the quality setting can choose what to reflect.
+// Layer 0 (skybox, ocean, seafloor) is never reflected: the sky is already sampled by the shader
+export const ReflectionLayer = {
+    terrain: 1,     // Island
+    props: 2,       // Firecamp, floating objects, blocks
+    effects: 3      // Fire and embers
+};
+
+export const ReflectionQuality = {
+    off: "off",
+    low: "low",
+    medium: "medium",
+    high: "high"
+};
+
+// ============================================
+// REFLECTION SETTINGS (easily tweakable)
+// ============================================
+const QUALITY_SETTINGS = {
+    off: { resolution: 0, layers: [] },
+    low: { resolution: 0.25, layers: [ReflectionLayer.terrain] },
+    medium: { resolution: 0.5, layers: [ReflectionLayer.terrain, ReflectionLayer.props, ReflectionLayer.effects] },
+    high: { resolution: 1.0, layers: [ReflectionLayer.terrain, ReflectionLayer.props, ReflectionLayer.effects] }
+};
+const CLIP_BIAS = 0.003;            // Pushes the clip plane slightly under the water to hide seams
+// ============================================
+
+export let reflectionQuality = ReflectionQuality.medium;
+
+// Holds the colors as they would reach the screen: the island and props encode to sRGB themselves
+// (see Island.js), and the ocean shader blends the texels in untouched
+const target = new WebGLRenderTarget(1, 1, { type: HalfFloatType });
+const mirrorCamera = new PerspectiveCamera();
+const size = new Vector2();
+const clearColor = new Color();
+
+const normal = new Vector3(0, 1, 0);
+const planePosition = new Vector3();
+const cameraPosition = new Vector3();
+const mirrorPosition = new Vector3();
+const lookAtPosition = new Vector3();
+const mirrorTarget = new Vector3();
+const rotation = new Matrix4();
+const plane = new Plane();
+const clipPlane = new Vector4();
+const q = new Vector4();
+
+// Puts every mesh of the object on the given reflection layer. Lights stay on all layers so the
+// reflected geometry is lit the same way.
+export function SetObjectLayer(object, layer) {
+    object.traverse((child) => {
+        if (child.isLight) {
+            child.layers.enableAll();
+        } else {
+            child.layers.set(layer);
+        }
+    });
+}
+
+export function SetReflectionQuality(quality) {
+    reflectionQuality = quality;
+
+    mirrorCamera.layers.disableAll();
+    for (const layer of QUALITY_SETTINGS[quality].layers) {
+        mirrorCamera.layers.enable(layer);
+    }
+
+    // Resize on the next update
+    size.set(0, 0);
+}
+
+export function Start() {
+    // The main camera sees every category
+    camera.layers.enableAll();
+
+    reflectionMapUniform.value = target.texture;
+    SetReflectionQuality(reflectionQuality);
+}
+
+export function Update() {
+    const settings = QUALITY_SETTINGS[reflectionQuality];
+
+    camera.updateMatrixWorld();
+    camera.getWorldPosition(cameraPosition);
+    const seaLevel = seaLevelUniform.value;
+    planePosition.set(cameraPosition.x, seaLevel, cameraPosition.z);
+
+    // Nothing to mirror when disabled or seen from under the water
+    if (settings.resolution <= 0 || cameraPosition.y <= seaLevel) {
+        reflectionStrengthUniform.value = 0;
+        return;
+    }
+    reflectionStrengthUniform.value = 1;
+
+    // Follow the canvas resolution
+    const width = Math.max(1, Math.floor(renderer.domElement.width * settings.resolution));
+    const height = Math.max(1, Math.floor(renderer.domElement.height * settings.resolution));
+    if (size.x !== width || size.y !== height) {
+        size.set(width, height);
+        target.setSize(width, height);
+    }
+
+    // Mirror the camera position, view direction and up vector across the sea plane
+    mirrorPosition.subVectors(planePosition, cameraPosition).reflect(normal).negate().add(planePosition);
+
+    rotation.extractRotation(camera.matrixWorld);
+    lookAtPosition.set(0, 0, -1).applyMatrix4(rotation).add(cameraPosition);
+    mirrorTarget.subVectors(planePosition, lookAtPosition).reflect(normal).negate().add(planePosition);
+
+    mirrorCamera.position.copy(mirrorPosition);
+    mirrorCamera.up.set(0, 1, 0).applyMatrix4(rotation).reflect(normal);
+    mirrorCamera.lookAt(mirrorTarget);
+    mirrorCamera.near = camera.near;
+    mirrorCamera.far = camera.far;
+    mirrorCamera.updateMatrixWorld();
+    mirrorCamera.projectionMatrix.copy(camera.projectionMatrix);
+
+    // Maps world positions to reflection map coordinates
+    reflectionMatrixUniform.value.set(
+        0.5, 0.0, 0.0, 0.5,
+        0.0, 0.5, 0.0, 0.5,
+        0.0, 0.0, 0.5, 0.5,
+        0.0, 0.0, 0.0, 1.0
+    );
+    reflectionMatrixUniform.value.multiply(mirrorCamera.projectionMatrix);
+    reflectionMatrixUniform.value.multiply(mirrorCamera.matrixWorldInverse);
+
+    // Oblique near plane, so everything under the water is clipped away
+    // http://www.terathon.com/lengyel/Lengyel-Oblique.pdf
+    plane.setFromNormalAndCoplanarPoint(normal, planePosition);
+    plane.applyMatrix4(mirrorCamera.matrixWorldInverse);
+    clipPlane.set(plane.normal.x, plane.normal.y, plane.normal.z, plane.constant);
+
+    const projection = mirrorCamera.projectionMatrix.elements;
+    q.x = (Math.sign(clipPlane.x) + projection[8]) / projection[0];
+    q.y = (Math.sign(clipPlane.y) + projection[9]) / projection[5];
+    q.z = -1.0;
+    q.w = (1.0 + projection[10]) / projection[14];
+
+    clipPlane.multiplyScalar(2.0 / clipPlane.dot(q));
+    projection[2] = clipPlane.x;
+    projection[6] = clipPlane.y;
+    projection[10] = clipPlane.z + 1.0 - CLIP_BIAS;
+    projection[14] = clipPlane.w;
+
+    // Transparent background, the shader falls back to the sky where nothing was drawn
+    const previousTarget = renderer.getRenderTarget();
+    const previousAlpha = renderer.getClearAlpha();
+    renderer.getClearColor(clearColor);
+
+    renderer.setRenderTarget(target);
+    renderer.setClearColor(0x000000, 0);
+    renderer.clear(true, true, false);
+    // The water line belongs to the main camera, the mirrored one compares its own height with the sea
+    waterlineActiveUniform.value = 0;
+    renderer.render(scene, mirrorCamera);
+    waterlineActiveUniform.value = 1;
+
+    renderer.setClearColor(clearColor, previousAlpha);
+    renderer.setRenderTarget(previousTarget);
+}
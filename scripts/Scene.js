@@ -5,15 +5,27 @@ import * as SeaFloor from "../scene/SeaFloor.js";
 import * as Blocks from "../scene/Blocks.js";
 import * as Island from "../scene/Island.js";
 import * as Fire from "../scene/Fire.js";
+import * as Buoyancy from "../scene/Buoyancy.js";
+import * as Rain from "../scene/Rain.js";
+import * as SeaState from "../scene/SeaState.js";
+import * as Wind from "../scene/Wind.js";
+import * as Clouds from "../scene/Clouds.js";
 import * as Audio from "./Audio.js";
+import * as Prepass from "./Prepass.js";
+import * as Reflection from "./Reflection.js";
+import * as PostProcess from "./PostProcess.js";
 import { axes } from "./Debug.js";
-import { lightUniform, sunVisibilityUniform } from "../materials/SkyboxMaterial.js";
+import { lightUniform, moonLightUniform, sunVisibilityUniform } from "../materials/SkyboxMaterial.js";
 
 export const body = document.createElement("div");
 
 // Scene lights - synced with skybox
 let ambientLight;
 let directionalLight;
+let moonLight;
+
+// Full moon light strength, a small part of the sunlight
+const moonLightIntensity = 0.3;
 
 export const renderer = new WebGLRenderer();
 export const scene = new Scene();
@@ -118,9 +130,31 @@ export function Start()
     directionalLight.position.copy(Skybox.dirToLight).multiplyScalar(100);
     scene.add(directionalLight);
 
+    // Cold, weak light from the moon, synced with its position and phase
+    moonLight = new DirectionalLight(0xb4c8ff, 0);
+    moonLight.position.copy(Skybox.moonDirection).multiplyScalar(100);
+    scene.add(moonLight);
+
+    // Lights also shine on the reflected layers
+    ambientLight.layers.enableAll();
+    directionalLight.layers.enableAll();
+    moonLight.layers.enableAll();
+
+    Prepass.Start();
+    Reflection.Start();
+
     Ocean.Start();
     scene.add(Ocean.surface);
 
+    // Waves, fire, audio and clouds follow the wind, change it with Wind.SetWind
+    Wind.Start();
+
+    // Cloud deck drifting with the wind, change it with Clouds.SetCloudSettings
+    Clouds.Start();
+
+    // Starts from the material defaults, change it with SeaState.SetSeaState
+    SeaState.Start();
+
     SeaFloor.Start();
     for (let i = 0; i < SeaFloor.tiles.length; i++)
     {
@@ -136,6 +170,21 @@ export function Start()
     Fire.Start();
     Island.firecamp.add(Fire.fire);
 
+    // Floating props - more glTF models can be dropped in with Buoyancy.LoadFloatingModel(path, { position })
+    Buoyancy.Start();
+    scene.add(Buoyancy.floaters);
+
+    // A wooden crate adrift between the camera and the island
+    Buoyancy.LoadFloatingModel('models/crate.glb', { position: new Vector3(1.2, 0.3, -1.5), scale: 0.08, density: 0.6 });
+
+    // Rain streaks follow the camera, off until SetRainIntensity
+    Rain.Start();
+    scene.add(Rain.rain);
+
+    // Underwater look, only shows while the camera is under the surface
+    PostProcess.Start();
+    scene.add(PostProcess.marineSnow);
+
     // Initialize audio system
     Audio.Start();
 
@@ -148,12 +197,18 @@ export function Start()
 
 export function Update()
 {
+    SeaState.Update();
+    Wind.Update();
+    Clouds.Update();
+    Rain.Update();
     Skybox.Update();
     Ocean.Update();
     SeaFloor.Update();
     Island.Update();
     Fire.Update();
+    Buoyancy.Update();
     Audio.Update();
+    PostProcess.Update();
 
     // Sync lights with skybox sun position and intensity
     directionalLight.position.copy(Skybox.dirToLight).multiplyScalar(100);
@@ -163,7 +218,12 @@ export function Update()
     directionalLight.intensity = sunVisible * lightIntensity * 2.0;
     // Ambient stays very dim at night
     ambientLight.intensity = 0.05 + sunVisible * lightIntensity * 0.5;
+    // The moon takes over at night
+    moonLight.position.copy(Skybox.moonDirection).multiplyScalar(100);
+    moonLight.intensity = moonLightUniform.value * moonLightIntensity;
 
-    renderer.render(scene, camera);
+    Reflection.Update();
+    Prepass.Update();
+    PostProcess.Render();
     renderer.render(axes, staticCamera);
 }
\ No newline at end of file
@@ -4,10 +4,20 @@ import { KeyCodes, keysJustPressed } from "./Input.js";
 import { SetAntialias, SetFOV, SetResolution, antialias, body, fov, resMult } from "./Scene.js";
 import { SetLookSensitivityMultiplier, changeDownState, changeUpState, setTouchControls, touchControls, toggleCameraMode, isWebPageMode } from "./Control.js";
 import { time } from "./Time.js";
-import { spotLightDistance, spotLightDistanceUniform, SetOceanColor, bigWavesElevationUniform, bigWavesFrequencyUniform, bigWavesSpeedUniform, smallWavesElevationUniform, smallWavesFrequencyUniform, smallWavesSpeedUniform, smallIterationsUniform, normalMapScaleUniform, normalMapStrengthUniform, waveVelocity1Uniform, waveVelocity2Uniform } from "../materials/OceanMaterial.js";
-import { toggleDayNight, isDayTime } from "../scene/Skybox.js";
+import { spotLightDistance, spotLightDistanceUniform, GetOceanColor, SetOceanColor, SetWaterType, WaterType, waterType, bigWavesElevationUniform, bigWavesFrequencyUniform, bigWavesSpeedUniform, smallWavesElevationUniform, smallWavesFrequencyUniform, smallWavesSpeedUniform, smallIterationsUniform, normalMapScaleUniform, normalMapStrengthUniform, waveVelocity1Uniform, waveVelocity2Uniform } from "../materials/OceanMaterial.js";
+import { toggleDayNight, isDayTime, getHour, SetHour, SetDayLength, SetTimeScale, SetClockPaused, dayLength, timeScale, clockPaused } from "../scene/Skybox.js";
 import { toggleIslandTexture, getCurrentTexture } from "../scene/Island.js";
 import { startAudio } from "./Audio.js";
+import { SetSpectrumSettings, SpectrumType, isSpectrumEnabled, setSpectrumEnabled, spectrumSettings } from "../scene/Spectrum.js";
+import { ReflectionQuality, SetReflectionQuality, reflectionQuality } from "./Reflection.js";
+import { SetPostProcessEnabled, postProcessEnabled } from "./PostProcess.js";
+import { SetRainIntensity, rainIntensity } from "../scene/Rain.js";
+import { SetTidesEnabled, tidesEnabled } from "../scene/Tide.js";
+import { SeaState, SetSeaState, seaState } from "../scene/SeaState.js";
+import { SetWind, windSettings } from "../scene/Wind.js";
+import { SetAtmosphereSettings, atmosphereSettings } from "../scene/Atmosphere.js";
+import { SetCloudSettings, cloudSettings } from "../scene/Clouds.js";
+import { SetEphemerisSettings, ephemerisSettings } from "../scene/Ephemeris.js";
 
 export const controlsDiv1 = document.createElement("info");
 
@@ -19,6 +29,11 @@ export let FullscreenUpdate;
 export let openMenu;
 let lastMenuClose = -buttonTimeout;
 let history = new Array();
+// Day/night switch and time of day slider, kept in step with the running clock
+let dayNightInput;
+let hourInput;
+// Wind speed slider, kept in step with the sea state
+let windSpeedInput;
 
 export function Start()
 {   
@@ -82,11 +97,13 @@ export function Start()
     
     // Get the checkbox input and sync with day/night
     const switchInput = switchLabel.querySelector('.switch__input');
+    dayNightInput = switchInput;
     // Set initial state (unchecked = day/sun, checked = night/moon)
     switchInput.checked = !isDayTime();
     
     switchInput.addEventListener('change', function() {
         toggleDayNight();
+        localTimeIn.Change(ephemerisSettings.localTime);
     });
 
     // Camera mode toggle button on screen
@@ -348,6 +365,33 @@ export function Start()
         }
     }
 
+    class Choice
+    {
+        display;
+        element;
+
+        constructor(text, parent, options, value)
+        {
+            const div = document.createElement("inputDiv");
+            parent.appendChild(div);
+
+            this.display = document.createElement("div");
+            this.display.textContent = text;
+            div.appendChild(this.display);
+
+            this.element = document.createElement("select");
+            for (const key in options)
+            {
+                const option = document.createElement("option");
+                option.value = key;
+                option.textContent = options[key];
+                this.element.appendChild(option);
+            }
+            this.element.value = value;
+            div.appendChild(this.element);
+        }
+    }
+
     function newInfoDiv(parent)
     {
         const div = document.createElement("info")
@@ -397,6 +441,8 @@ export function Start()
 
     const controlsDiv = newOverlayDiv();
     const videoDiv = newOverlayDiv();
+    const oceanDiv = newOverlayDiv();
+    const environmentDiv = newOverlayDiv();
     const debugDiv = newOverlayDiv();
 
     const aboutDiv = newOverlayDiv();
@@ -444,6 +490,8 @@ export function Start()
     //#region Settings buttons
     newButton("Controls", settingsDiv, controlsDiv);
     newButton("Video", settingsDiv, videoDiv);
+    newButton("Ocean", settingsDiv, oceanDiv);
+    newButton("Environment", settingsDiv, environmentDiv);
     newButton("Debug", settingsDiv, debugDiv);
     newButton("Back", settingsDiv, menuDiv, true);
     //#endregion
@@ -541,6 +589,26 @@ export function Start()
         antialiasIn.Change(antialias);
     }
 
+    const reflectionsIn = new Choice("Reflections: ", videoDiv, { [ReflectionQuality.off]: "Off", [ReflectionQuality.low]: "Low", [ReflectionQuality.medium]: "Medium", [ReflectionQuality.high]: "High" }, reflectionQuality);
+    reflectionsIn.element.onchange = function()
+    {
+        SetReflectionQuality(reflectionsIn.element.value);
+    }
+
+    const underwaterIn = new Switch("Underwater effects: ", videoDiv, postProcessEnabled);
+    underwaterIn.clickArea.onclick = function()
+    {
+        SetPostProcessEnabled(!postProcessEnabled);
+        underwaterIn.Change(postProcessEnabled);
+    }
+
+    const physicalSkyIn = new Switch("Physical sky: ", videoDiv, atmosphereSettings.enabled);
+    physicalSkyIn.clickArea.onclick = function()
+    {
+        SetAtmosphereSettings({ enabled: !atmosphereSettings.enabled });
+        physicalSkyIn.Change(atmosphereSettings.enabled);
+    }
+
     // Ocean color picker
     const oceanColorDiv = document.createElement("inputDiv");
     videoDiv.appendChild(oceanColorDiv);
@@ -551,7 +619,7 @@ export function Start()
 
     const oceanColorInput = document.createElement("input");
     oceanColorInput.type = "color";
-    oceanColorInput.value = "#1a7aa8"; // Default blueish ocean color
+    oceanColorInput.value = oceanColorToHex(); // Default blueish ocean color
     oceanColorInput.style.width = "100%";
     oceanColorInput.style.height = "32px";
     oceanColorInput.style.border = "none";
@@ -562,14 +630,228 @@ export function Start()
         const r = parseInt(hex.substr(1, 2), 16) / 255;
         const g = parseInt(hex.substr(3, 2), 16) / 255;
         const b = parseInt(hex.substr(5, 2), 16) / 255;
-        // SetOceanColor(r, g, b);
-        SetOceanColor(0.1, 0.3, 0.8);
+        SetOceanColor(r, g, b);
     };
     oceanColorDiv.appendChild(oceanColorInput);
 
+    const waterTypeIn = new Choice("Water type: ", videoDiv, { [WaterType.tropical]: "Tropical clear", [WaterType.oceanic]: "Open ocean", [WaterType.coastal]: "Coastal green", [WaterType.harbor]: "Murky harbor" }, waterType);
+    waterTypeIn.element.onchange = function()
+    {
+        SetWaterType(waterTypeIn.element.value);
+        oceanColorInput.value = oceanColorToHex();
+    }
+
+    // The shaders output their colors as they are, so the picker shows the raw values
+    function oceanColorToHex()
+    {
+        const color = GetOceanColor();
+        const channel = (value) => Math.round(MathUtils.clamp(value, 0, 1) * 255).toString(16).padStart(2, "0");
+        return "#" + channel(color.x) + channel(color.y) + channel(color.z);
+    }
+
     newButton("Back", videoDiv, settingsDiv, true);
     //#endregion
 
+    //#region Ocean
+    const spectrumIn = new Switch("Spectral waves: ", oceanDiv, isSpectrumEnabled());
+    spectrumIn.clickArea.onclick = function()
+    {
+        setSpectrumEnabled(!isSpectrumEnabled());
+        spectrumIn.Change(isSpectrumEnabled());
+    }
+
+    const spectrumTypeIn = new Choice("Wave spectrum: ", oceanDiv, { [SpectrumType.jonswap]: "JONSWAP", [SpectrumType.phillips]: "Phillips" }, spectrumSettings.type);
+    spectrumTypeIn.element.onchange = function()
+    {
+        SetSpectrumSettings({ type: spectrumTypeIn.element.value });
+    }
+
+    const fetchIn = new Range("Fetch: ", oceanDiv, 1, 500, 1, spectrumSettings.fetch, " km");
+    fetchIn.element.oninput = function()
+    {
+        SetSpectrumSettings({ fetch: parseFloat(fetchIn.element.value) });
+        fetchIn.Update();
+    }
+
+    const choppinessIn = new Range("Choppiness: ", oceanDiv, 0, 2, 0.05, spectrumSettings.choppiness, "");
+    choppinessIn.element.oninput = function()
+    {
+        SetSpectrumSettings({ choppiness: parseFloat(choppinessIn.element.value) });
+        choppinessIn.Update();
+    }
+
+    newButton("Back", oceanDiv, settingsDiv, true);
+    //#endregion
+
+    //#region Environment
+    const seaStateIn = new Choice("Sea state: ", environmentDiv, { [SeaState.calm]: "Calm", [SeaState.breezy]: "Breezy", [SeaState.choppy]: "Choppy", [SeaState.storm]: "Storm" }, seaState);
+    seaStateIn.element.onchange = function()
+    {
+        SetSeaState(seaStateIn.element.value);
+    }
+
+    const rainIn = new Range("Rain: ", environmentDiv, 0, 100, 5, rainIntensity * 100, "%");
+    rainIn.element.oninput = function()
+    {
+        SetRainIntensity(rainIn.element.value / 100);
+        rainIn.Update();
+    }
+
+    const hourIn = new Range("Time of day: ", environmentDiv, 0, 23.5, 0.5, Math.floor(getHour() * 2) / 2, "h");
+    hourIn.element.oninput = function()
+    {
+        SetHour(parseFloat(hourIn.element.value));
+        hourIn.Update();
+        localTimeIn.Change(ephemerisSettings.localTime);
+    }
+    hourInput = hourIn;
+
+    const dayLengthIn = new Range("Day length: ", environmentDiv, 1, 60, 1, dayLength / 60, " min");
+    dayLengthIn.element.oninput = function()
+    {
+        SetDayLength(dayLengthIn.element.value * 60);
+        dayLengthIn.Update();
+    }
+
+    const timeScaleIn = new Range("Time-lapse: ", environmentDiv, 1, 100, 1, timeScale, "x");
+    timeScaleIn.element.oninput = function()
+    {
+        SetTimeScale(parseFloat(timeScaleIn.element.value));
+        timeScaleIn.Update();
+    }
+
+    const pauseClockIn = new Switch("Pause time: ", environmentDiv, clockPaused);
+    pauseClockIn.clickArea.onclick = function()
+    {
+        SetClockPaused(!clockPaused);
+        pauseClockIn.Change(clockPaused);
+    }
+
+    const realSunIn = new Switch("Real sun position: ", environmentDiv, ephemerisSettings.enabled);
+    realSunIn.clickArea.onclick = function()
+    {
+        SetEphemerisSettings({ enabled: !ephemerisSettings.enabled, localTime: false });
+        realSunIn.Change(ephemerisSettings.enabled);
+        localTimeIn.Change(ephemerisSettings.localTime);
+    }
+
+    const localTimeIn = new Switch("My local time: ", environmentDiv, ephemerisSettings.localTime);
+    localTimeIn.clickArea.onclick = function()
+    {
+        SetEphemerisSettings({ localTime: !ephemerisSettings.localTime });
+        localTimeIn.Change(ephemerisSettings.localTime);
+        realSunIn.Change(ephemerisSettings.enabled);
+    }
+
+    const latitudeIn = new Range("Latitude: ", environmentDiv, -90, 90, 1, Math.round(ephemerisSettings.latitude), "°");
+    latitudeIn.element.oninput = function()
+    {
+        SetEphemerisSettings({ latitude: parseFloat(latitudeIn.element.value) });
+        latitudeIn.Update();
+    }
+
+    const longitudeIn = new Range("Longitude: ", environmentDiv, -180, 180, 1, Math.round(ephemerisSettings.longitude), "°");
+    longitudeIn.element.oninput = function()
+    {
+        SetEphemerisSettings({ longitude: parseFloat(longitudeIn.element.value) });
+        longitudeIn.Update();
+    }
+
+    const timeZoneIn = new Range("Time zone: UTC ", environmentDiv, -12, 14, 0.5, ephemerisSettings.timeZone, "h");
+    timeZoneIn.element.oninput = function()
+    {
+        SetEphemerisSettings({ timeZone: parseFloat(timeZoneIn.element.value) });
+        timeZoneIn.Update();
+    }
+
+    const dayOfYearIn = new Range("Day of the year: ", environmentDiv, 1, 365, 1, ephemerisSettings.dayOfYear, "");
+    dayOfYearIn.element.oninput = function()
+    {
+        SetEphemerisSettings({ dayOfYear: parseInt(dayOfYearIn.element.value) });
+        dayOfYearIn.Update();
+    }
+
+    const turbidityIn = new Range("Air turbidity: ", environmentDiv, 1, 10, 0.5, atmosphereSettings.turbidity, "");
+    turbidityIn.element.oninput = function()
+    {
+        SetAtmosphereSettings({ turbidity: parseFloat(turbidityIn.element.value) });
+        turbidityIn.Update();
+    }
+
+    const ozoneIn = new Range("Ozone: ", environmentDiv, 0, 200, 10, atmosphereSettings.ozone * 100, "%");
+    ozoneIn.element.oninput = function()
+    {
+        SetAtmosphereSettings({ ozone: ozoneIn.element.value / 100 });
+        ozoneIn.Update();
+    }
+
+    const cloudCoverageIn = new Range("Cloud cover: ", environmentDiv, 0, 100, 5, cloudSettings.coverage * 100, "%");
+    cloudCoverageIn.element.oninput = function()
+    {
+        SetCloudSettings({ coverage: cloudCoverageIn.element.value / 100 });
+        cloudCoverageIn.Update();
+    }
+
+    const cloudDensityIn = new Range("Cloud density: ", environmentDiv, 0, 100, 5, cloudSettings.density * 100, "%");
+    cloudDensityIn.element.oninput = function()
+    {
+        SetCloudSettings({ density: cloudDensityIn.element.value / 100 });
+        cloudDensityIn.Update();
+    }
+
+    const cloudAltitudeIn = new Range("Cloud height: ", environmentDiv, 0.5, 5, 0.1, cloudSettings.altitude / 100, " km");
+    cloudAltitudeIn.element.oninput = function()
+    {
+        SetCloudSettings({ altitude: cloudAltitudeIn.element.value * 100 });
+        cloudAltitudeIn.Update();
+    }
+
+    const cloudDriftIn = new Range("Cloud drift: ", environmentDiv, 0, 300, 10, cloudSettings.drift * 100, "%");
+    cloudDriftIn.element.oninput = function()
+    {
+        SetCloudSettings({ drift: cloudDriftIn.element.value / 100 });
+        cloudDriftIn.Update();
+    }
+
+    const cloudShadowsIn = new Switch("Cloud shadows: ", environmentDiv, cloudSettings.shadows);
+    cloudShadowsIn.clickArea.onclick = function()
+    {
+        SetCloudSettings({ shadows: !cloudSettings.shadows });
+        cloudShadowsIn.Change(cloudSettings.shadows);
+    }
+
+    const windSpeedIn = new Range("Wind speed: ", environmentDiv, 1, 30, 0.5, windSettings.speed, " m/s");
+    windSpeedIn.element.oninput = function()
+    {
+        SetWind({ speed: parseFloat(windSpeedIn.element.value) });
+        windSpeedIn.Update();
+    }
+    windSpeedInput = windSpeedIn;
+
+    const windDirectionIn = new Range("Wind direction: ", environmentDiv, 0, 355, 5, MathUtils.radToDeg(windSettings.direction), "°");
+    windDirectionIn.element.oninput = function()
+    {
+        SetWind({ direction: MathUtils.degToRad(parseFloat(windDirectionIn.element.value)) });
+        windDirectionIn.Update();
+    }
+
+    const gustinessIn = new Range("Gustiness: ", environmentDiv, 0, 100, 5, windSettings.gustiness * 100, "%");
+    gustinessIn.element.oninput = function()
+    {
+        SetWind({ gustiness: gustinessIn.element.value / 100 });
+        gustinessIn.Update();
+    }
+
+    const tidesIn = new Switch("Tides: ", environmentDiv, tidesEnabled);
+    tidesIn.clickArea.onclick = function()
+    {
+        SetTidesEnabled(!tidesEnabled);
+        tidesIn.Change(tidesEnabled);
+    }
+
+    newButton("Back", environmentDiv, settingsDiv, true);
+    //#endregion
+
     //#region Debug
     const showAllIn = new Switch("Show all: ", debugDiv, debugging);
 
@@ -759,6 +1041,31 @@ export function Start()
 
 export function Update()
 {
+    if (dayNightInput)
+    {
+        dayNightInput.checked = !isDayTime();
+    }
+
+    if (hourInput)
+    {
+        const shownHour = String(Math.floor(getHour() * 2) / 2);
+        if (hourInput.element.value != shownHour)
+        {
+            hourInput.element.value = shownHour;
+            hourInput.Update();
+        }
+    }
+
+    if (windSpeedInput)
+    {
+        const shownSpeed = String(Math.round(windSettings.speed * 2) / 2);
+        if (windSpeedInput.element.value != shownSpeed)
+        {
+            windSpeedInput.element.value = shownSpeed;
+            windSpeedInput.Update();
+        }
+    }
+
     if (keysJustPressed.includes(KeyCodes.escape))
     {
         if (history.length > 0)
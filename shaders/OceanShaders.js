@@ -1,20 +1,35 @@
 export const surfaceVertex = 
 /*glsl*/`
     #include <ocean>
+    #include <waves>
+    #include <spectrum>
+    #include <ripples>
 
     varying vec2 _worldPos;
     varying vec2 _uv;
     varying float _elevation;
+    varying vec3 _waveNormal;
+    varying vec2 _spectrumPos;
+
+    uniform vec2 _LodFade;
 
     void main()
     {
         vec4 worldPos = modelMatrix * vec4(position, 1.0);
+        _spectrumPos = worldPos.xz;
+
+        // The rings get coarser away from the camera, flatten the waves before they alias
+        float lod = 1.0 - smoothstep(_LodFade.x, _LodFade.y, distance(worldPos.xz, cameraPosition.xz));
         
-        float elevation = 0.0;
+        float elevation = waveElevation(worldPos.xz);
+        _waveNormal = mix(vec3(0.0, 1.0, 0.0), waveNormal(worldPos.xz, elevation), lod);
+        worldPos.y += elevation * lod;
+        worldPos.xyz += sampleSpectrumDisplacement(_spectrumPos) * lod;
+        worldPos.y += sampleRippleHeight(_spectrumPos);
         
         _worldPos = worldPos.xz;
         _uv = _worldPos * _NormalMapScale;
-        _elevation = elevation;
+        _elevation = worldPos.y;
         gl_Position = projectionMatrix * viewMatrix * worldPos;
     }
 `;
@@ -22,41 +37,69 @@ export const surfaceVertex =
 export const surfaceFragment = 
 /*glsl*/`
     #include <ocean>
-
-    uniform vec2 _OceanHalfSize;
-    uniform float _EdgeFadeDistance;
+    #include <spectrum>
+    #include <depth>
+    #include <ripples>
+    #include <waterline>
     
-    // Foam uniforms
-    uniform vec2 _FoamIslandCenter;
-    uniform float _FoamIslandRadius;
+    // Foam where the water meets opaque geometry
     uniform float _FoamWidth;
     uniform float _FoamIntensity;
+    uniform float _SoftEdgeDistance;
+
+    // Whitecap foam accumulated by the foam simulation
+    uniform sampler2D _FoamMap;
+    uniform vec2 _FoamOrigin;
+    uniform float _FoamArea;
+    uniform float _WhitecapIntensity;
+
+    // Trails of the wake emitters (xy = position, z = time passed, w = distance from the trail head)
+    const int MAX_WAKE_POINTS = 32;
+    const float KELVIN_TAN = 0.3536;       // Wake arms stay at 19.47 degrees whatever the speed
+    const float WAKE_ARM_WIDTH = 0.03;
+    const float WAKE_FOAM_WIDTH = 0.04;
+    const float WAKE_SPREAD = 0.03;        // Widening of the arms and foam along the trail
+    uniform vec4 _WakePoints[MAX_WAKE_POINTS];
+    uniform int _WakePointCount;
+    uniform float _WakeLifetime;
+    uniform float _WakeHeight;
+    uniform float _WakeFoam;
+
+    // Rain drops hitting the water
+    const float RAIN_RIPPLE_SCALE = 12.0;      // Cells per world unit, one drop per cell at a time
+    const float RAIN_RIPPLE_RATE = 1.2;        // Drops per cell per second
+    const float RAIN_RIPPLE_SHARPNESS = 20.0;
+    const float RAIN_RIPPLE_STRENGTH = 0.6;
+    uniform float _RainIntensity;
+
+    // Sunlight shining through the wave crests
+    const float SSS_DISTORTION = 0.3;      // How much the surface normal bends the light
+    const float SSS_POWER = 4.0;           // How tightly the glow follows the sun
+    const float SSS_BASE = 0.15;           // Glow of the flat water between the crests
+    const float SSS_CREST_START = -0.02;   // Wave height where the crests start to glow
+    const float SSS_CREST_END = 0.12;      // Wave height where they glow the most
+    const float SSS_PATH_LENGTH = 20.0;    // Water the light travels through, sets the tint
+    uniform float _SubsurfaceStrength;
+
+    // Opaque scene behind the water, for refraction
+    uniform sampler2D _SceneColor;
+    uniform float _RefractionStrength;
+
+    // Planar reflection of the scene geometry
+    uniform sampler2D _ReflectionMap;
+    uniform mat4 _ReflectionMatrix;
+    uniform float _ReflectionStrength;
+    uniform float _ReflectionDistortion;
 
     varying vec2 _worldPos;
     varying vec2 _uv;
     varying float _elevation;
+    varying vec3 _waveNormal;
+    varying vec2 _spectrumPos;
 
-    float calcEdgeFade(vec2 pos) {
-        // Camera is at Z=0, ocean extends into negative Z
-        // pos.y is world Z coordinate
-        // Near edge (close to camera) is at Z=0, so distance from near edge is -pos.y
-        float distFromNearEdge = -pos.y;
-        
-        // Smooth fade - transparent at edge (Z=0), opaque further in
-        return smoothstep(0.0, _EdgeFadeDistance, distFromNearEdge);
-    }
-    
-    float calcFoam(vec2 pos) {
-        // Distance from island center (XZ plane)
-        float dist = length(pos - _FoamIslandCenter);
-        
-        // Foam ring around island edge
-        float innerEdge = _FoamIslandRadius;
-        float outerEdge = _FoamIslandRadius + _FoamWidth;
-        
-        // Smooth foam band
-        float foam = smoothstep(innerEdge - 0.1, innerEdge, dist) * 
-                     smoothstep(outerEdge + 0.1, outerEdge, dist);
+    float calcFoam(vec2 pos, float depthDifference) {
+        // Foam band along every intersection with the scene
+        float foam = 1.0 - smoothstep(0.0, _FoamWidth, depthDifference);
         
         // Add some variation with noise from normal map time offset
         float noiseOffset = sin(pos.x * 8.0 + _Time * 2.0) * 0.1 + 
@@ -66,50 +109,220 @@ export const surfaceFragment =
         return foam * _FoamIntensity;
     }
 
+    float calcWhitecaps(vec2 pos)
+    {
+        vec2 uv = (pos - _FoamOrigin) / _FoamArea + 0.5;
+
+        // Fade out towards the border of the simulated area
+        vec2 border = min(uv, 1.0 - uv);
+        float foam = texture2D(_FoamMap, uv).r * smoothstep(0.0, 0.1, min(border.x, border.y));
+
+        // Break the coverage up into patches that thin out as the foam dissolves
+        float pattern = texture2D(_NormalMap1, _uv * 4.0 + _WaveVelocity2 * _Time).x;
+        foam = smoothstep(1.0 - foam, 1.3 - foam, pattern);
+
+        return foam * _WhitecapIntensity;
+    }
+
+    // V shaped arms and churned foam behind the wake emitters. Returns the foam, slope = wake height gradient
+    float calcWake(vec2 pos, out vec2 slope)
+    {
+        slope = vec2(0.0);
+        if (_WakePointCount < 2) return 0.0;
+
+        // Closest point of all the trail segments
+        float nearest = 1e6;
+        vec2 away = vec2(0.0);
+        float along = 0.0;
+        float age = _WakeLifetime;
+
+        for (int i = 0; i < MAX_WAKE_POINTS - 1; i++)
+        {
+            if (i + 1 >= _WakePointCount) break;
+
+            vec4 a = _WakePoints[i];
+            vec4 b = _WakePoints[i + 1];
+            if (b.w <= a.w) continue; // Next trail
+
+            vec2 segment = b.xy - a.xy;
+            float t = clamp(dot(pos - a.xy, segment) / dot(segment, segment), 0.0, 1.0);
+            vec2 offset = pos - (a.xy + segment * t);
+            float d = length(offset);
+
+            if (d < nearest)
+            {
+                nearest = d;
+                away = offset / max(d, 0.0001);
+                along = mix(a.w, b.w, t);
+                age = _Time - mix(a.z, b.z, t);
+            }
+        }
+
+        float fade = 1.0 - clamp(age / _WakeLifetime, 0.0, 1.0);
+        fade *= fade;
+
+        // The arms move away from the path as it gets further behind the emitter
+        float armWidth = WAKE_ARM_WIDTH + along * WAKE_SPREAD;
+        float armOffset = (nearest - along * KELVIN_TAN) / armWidth;
+        float arm = exp(-armOffset * armOffset) * fade * _WakeHeight;
+        slope = away * arm * -2.0 * armOffset / armWidth;
+
+        // Turbulent foam right behind the emitter, broken up like the whitecaps
+        float foam = (1.0 - smoothstep(0.0, WAKE_FOAM_WIDTH + along * WAKE_SPREAD, nearest)) * fade;
+        float pattern = texture2D(_NormalMap2, _uv * 6.0 - _WaveVelocity1 * _Time).y;
+        foam = smoothstep(1.0 - foam, 1.3 - foam, pattern);
+
+        return foam * _WakeFoam;
+    }
+
+    // Light entering the back of the waves and leaving towards the camera, tinted by the water.
+    // Strongest on the thin crests when looking towards the sun
+    vec3 calcSubsurfaceScattering(vec3 viewDir, vec3 normal)
+    {
+        vec3 lightDir = normalize(_DirToLight + normal * SSS_DISTORTION);
+        float scatter = pow(max(dot(viewDir, lightDir), 0.0), SSS_POWER);
+        float crest = smoothstep(SSS_CREST_START, SSS_CREST_END, _elevation - _SeaLevel);
+
+        vec3 color = exp(-_Absorption * SSS_PATH_LENGTH) * _Scattering * _Light;
+        return color * scatter * (SSS_BASE + crest) * _SunVisibility * _SubsurfaceStrength;
+    }
+
+    vec2 rainHash(vec2 p)
+    {
+        p = vec2(dot(p, vec2(127.1, 311.7)), dot(p, vec2(269.5, 183.3)));
+        return fract(sin(p) * 43758.5453);
+    }
+
+    // Slopes of the rings spreading from the rain drop impacts, two overlapping layers of cells
+    vec2 calcRainRipples(vec2 pos)
+    {
+        vec2 slope = vec2(0.0);
+        if (_RainIntensity <= 0.0) return slope;
+
+        for (int i = 0; i < 2; i++)
+        {
+            vec2 p = pos * RAIN_RIPPLE_SCALE * (1.0 + float(i) * 0.37) + float(i) * 17.3;
+            vec2 cell = floor(p);
+            vec2 hash = rainHash(cell);
+            float t = _Time * RAIN_RIPPLE_RATE + hash.x;
+
+            // Heavier rain hits more of the cells
+            float drop = step(rainHash(cell + floor(t)).y, _RainIntensity);
+
+            vec2 offset = p - (cell + 0.35 + hash * 0.3);
+            float d = length(offset);
+            float x = (d - fract(t) * 0.35) * RAIN_RIPPLE_SHARPNESS;
+            float ring = -x * exp(-x * x) * (1.0 - fract(t)) * drop;
+            slope += offset / max(d, 0.0001) * ring;
+        }
+
+        return slope * RAIN_RIPPLE_STRENGTH;
+    }
+
+    // Opaque scene behind the surface, bent by the normal and absorbed on its way through the water
+    vec3 sampleRefraction(vec3 viewDir, vec3 normal, float softEdge)
+    {
+        vec2 screenUv = gl_FragCoord.xy / _ScreenSize;
+        vec2 uv = screenUv + normal.xz * _RefractionStrength * softEdge;
+
+        // Objects in front of the water must not leak into the refraction
+        if (sceneDepthDifference(uv) < 0.0) uv = screenUv;
+
+        // View depth difference to distance along the view ray
+        float viewForward = -(viewMatrix * vec4(viewDir, 0.0)).z;
+        float waterLen = max(sceneDepthDifference(uv), 0.0) / max(viewForward, 0.001);
+        waterLen = min(waterLen, MAX_VIEW_DEPTH);
+
+        float sampleY = _elevation - _SeaLevel + viewDir.y * waterLen;
+        vec3 light = exp((sampleY - waterLen * DENSITY) * _Absorption) * _Scattering * _Light;
+        vec3 scene = texture2D(_SceneColor, uv).rgb * exp(-waterLen * DENSITY * _Absorption);
+
+        return mix(scene, light, waterLen / MAX_VIEW_DEPTH);
+    }
+
     void main()
     {
-        // Calculate edge fade
-        float edgeFade = calcEdgeFade(_worldPos);
-        if (edgeFade <= 0.0) discard;
-        
-        // Calculate foam
-        float foam = calcFoam(_worldPos);
+        // Calculate foam, and fade the water out where it gets too thin in front of the scene
+        float depthDifference = sceneDepthDifference();
+        vec2 wakeSlope;
+        float foam = max(calcFoam(_worldPos, depthDifference), calcWhitecaps(_spectrumPos));
+        foam = max(foam, calcWake(_worldPos, wakeSlope));
+        float softEdge = smoothstep(0.0, _SoftEdgeDistance, depthDifference);
 
         vec3 viewVec = vec3(_worldPos.x, _elevation, _worldPos.y) - cameraPosition;
         float viewLen = length(viewVec);
         vec3 viewDir = viewVec / viewLen;
 
-        vec3 normal = texture2D(_NormalMap1, _uv + _WaveVelocity1 * _Time).xyz * 2.0 - 1.0;
-        normal += texture2D(_NormalMap2, _uv + _WaveVelocity2 * _Time).xyz * 2.0 - 1.0;
-        normal *= _NormalMapStrength;
-        normal += vec3(0.0, 0.0, 1.0);
-        normal = normalize(normal).xzy;
+        vec3 detail = texture2D(_NormalMap1, _uv + _WaveVelocity1 * _Time).xyz * 2.0 - 1.0;
+        detail += texture2D(_NormalMap2, _uv + _WaveVelocity2 * _Time).xyz * 2.0 - 1.0;
+        detail *= _NormalMapStrength;
+        detail += vec3(0.0, 0.0, 1.0);
+        detail = normalize(detail).xzy;
+
+        // Spectral mode replaces the scrolling normal maps with the simulated slopes
+        vec3 spectrum = sampleSpectrumNormal(_spectrumPos);
+        vec3 spectrumDetail = normalize(vec3(-spectrum.x, 1.0, -spectrum.y));
+        detail = normalize(mix(detail, spectrumDetail, _SpectrumBlend));
+
+        // Whiteout blend of the normal map detail on top of the displaced wave normal
+        vec3 waveNormal = normalize(_waveNormal);
+        vec3 normal = normalize(vec3(waveNormal.x + detail.x, waveNormal.y * detail.y, waveNormal.z + detail.z));
+
+        // Interactive ripples, blended the same way
+        vec3 ripple = sampleRippleNormal(_spectrumPos);
+        normal = normalize(vec3(normal.x + ripple.x, normal.y * ripple.y, normal.z + ripple.z));
+
+        // And the wake arms and rain drops
+        vec2 slope = wakeSlope + calcRainRipples(_worldPos);
+        vec3 disturbance = normalize(vec3(-slope.x, 1.0, -slope.y));
+        normal = normalize(vec3(normal.x + disturbance.x, normal.y * disturbance.y, normal.z + disturbance.z));
 
         sampleDither(gl_FragCoord.xy);
 
-        if (cameraPosition.y > _elevation)
+        if (isAboveWater(_elevation))
         {
             float reflectivity = pow2(1.0 - max(0.0, dot(-viewDir, normal)));
 
-            vec3 reflection = sampleSkybox(reflect(viewDir, normal));
+            vec3 reflectDir = reflect(viewDir, normal);
+            vec3 reflection = sampleSkybox(reflectDir) + calcMoonGlitter(reflectDir);
+
+            // Scene reflection projected from the flat sea plane, rippled by the surface normal
+            vec4 reflectionCoord = _ReflectionMatrix * vec4(_worldPos.x, _SeaLevel, _worldPos.y, 1.0);
+            vec2 reflectionUv = reflectionCoord.xy / reflectionCoord.w + normal.xz * _ReflectionDistortion;
+            vec4 planarReflection = texture2D(_ReflectionMap, reflectionUv);
+            reflection = mix(reflection, planarReflection.rgb, clamp(planarReflection.a, 0.0, 1.0) * _ReflectionStrength);
+
             vec3 surface = reflectivity * reflection;
 
-            float fog = clamp(viewLen / FOG_DISTANCE + dither, 0.0, 1.0);
+            float fog = clamp(viewLen / _FogDistance + dither, 0.0, 1.0);
             surface = mix(surface, sampleFog(viewDir), fog);
             
             // Add white foam
             vec3 foamColor = vec3(1.0, 1.0, 1.0);
             surface = mix(surface, foamColor, foam);
 
-            gl_FragColor = vec4(surface, max(max(reflectivity, fog), foam) * edgeFade);
+            float alpha = max(max(reflectivity, fog) * softEdge, foam);
+
+            // Glow coming out of the water, under the reflection. Cloud shadows dim it as they pass
+            vec3 scattering = calcSubsurfaceScattering(viewDir, normal) * softEdge * (1.0 - foam);
+            scattering *= cloudShadow(vec3(_worldPos.x, _elevation, _worldPos.y), _DirToLight);
+
+            if (_SurfaceRefraction > 0.0)
+            {
+                vec3 refraction = sampleRefraction(viewDir, normal, softEdge) + scattering;
+                gl_FragColor = vec4(mix(refraction, surface, alpha), 1.0);
+                return;
+            }
+
+            gl_FragColor = vec4(surface + scattering, alpha);
             return;
         }
 
-        float originY = cameraPosition.y;
+        float originY = cameraPosition.y - _SeaLevel;
         viewLen = min(viewLen, MAX_VIEW_DEPTH);
         float sampleY = originY + viewDir.y * viewLen;
         vec3 light = exp((sampleY - MAX_VIEW_DEPTH_DENSITY) * _Absorption);
-        light *= _Light;
+        light *= _Scattering * _Light;
 
         float reflectivity = pow2(1.0 - max(0.0, dot(viewDir, normal)));
         float t = clamp(max(reflectivity, viewLen / MAX_VIEW_DEPTH) + dither, 0.0, 1.0);
@@ -119,13 +332,13 @@ export const surfaceFragment =
             vec3 r = reflect(viewDir, -normal);
             sampleY = r.y * (MAX_VIEW_DEPTH - viewLen);
             vec3 rColor = exp((sampleY - MAX_VIEW_DEPTH_DENSITY) * _Absorption);
-            rColor *= _Light;
+            rColor *= _Scattering * _Light;
             
             // Add white foam
             vec3 foamColor = vec3(1.0, 1.0, 1.0);
             vec3 finalColor = mix(mix(rColor, light, t), foamColor, foam);
 
-            gl_FragColor = vec4(finalColor, max(edgeFade, foam));
+            gl_FragColor = vec4(finalColor, max(softEdge, foam));
             return;
         }
         
@@ -133,7 +346,7 @@ export const surfaceFragment =
         vec3 foamColor = vec3(1.0, 1.0, 1.0);
         vec3 finalColor = mix(light, foamColor, foam);
 
-        gl_FragColor = vec4(finalColor, max(t * edgeFade, foam));
+        gl_FragColor = vec4(finalColor, max(t * softEdge, foam));
     }
 `;
 
@@ -152,6 +365,7 @@ export const volumeVertex =
 export const volumeFragment = 
 /*glsl*/`
     #include <ocean>
+    #include <waterline>
 
     varying vec3 _worldPos;
 
@@ -160,11 +374,12 @@ export const volumeFragment =
         vec3 viewVec = _worldPos - cameraPosition;
         float viewLen = length(viewVec);
         vec3 viewDir = viewVec / viewLen;
-        float originY = cameraPosition.y;
+        bool above = isAboveWater(_SeaLevel);
+        float originY = waterSideHeight(above, _SeaLevel);
 
-        if (cameraPosition.y > 0.0)
+        if (above)
         {
-            float distAbove = cameraPosition.y / -viewDir.y;
+            float distAbove = originY / -viewDir.y;
             viewLen -= distAbove;
             originY = 0.0;
         }
@@ -172,7 +387,7 @@ export const volumeFragment =
 
         float sampleY = originY + viewDir.y * viewLen;
         vec3 light = exp((sampleY - viewLen * DENSITY) * _Absorption);
-        light *= _Light;
+        light *= _Scattering * _Light;
         
         gl_FragColor = vec4(light, 1.0);
     }
@@ -197,8 +412,11 @@ export const objectVertex =
 export const objectFragment =
 /*glsl*/`
     #include <ocean>
+    #include <caustics>
+    #include <waterline>
 
     uniform vec3 _CameraForward;
+    uniform vec3 _Caustics;
     uniform sampler2D _MainTexture;
     uniform float _SpotLightSharpness;
     uniform float _SpotLightDistance;
@@ -209,32 +427,45 @@ export const objectFragment =
 
     void main()
     {
-        float dirLighting = max(0.333, dot(_normal, _DirToLight));
+        float shadow = cloudShadow(_worldPos, _DirToLight);
+        float dirLighting = max(0.333, dot(_normal, _DirToLight) * shadow);
         vec3 texture = texture2D(_MainTexture, _uv).xyz * dirLighting;
+
+        // Sunlight patterns focused by the waves
+        texture *= 1.0 + caustics(_worldPos - vec3(0.0, _SeaLevel, 0.0), _DirToLight, _Time, _Caustics.x, _Caustics.y, _Caustics.z) * _SunVisibility * shadow;
         
         vec3 viewVec = _worldPos - cameraPosition;
         float viewLen = length(viewVec);
         vec3 viewDir = viewVec / viewLen;
+        bool above = isAboveWater(_SeaLevel);
+        float cameraY = waterSideHeight(above, _SeaLevel);
 
-        if (_worldPos.y > 0.0)
+        if (_worldPos.y > _SeaLevel)
         {
-            if (cameraPosition.y < 0.0)
+            if (!above)
             {
-                viewLen -= cameraPosition.y / -viewDir.y;
+                viewLen -= cameraY / -viewDir.y;
             }
 
             sampleDither(gl_FragCoord.xy);
             vec3 fogColor = sampleFog(viewDir);
-            float fog = clamp(viewLen / FOG_DISTANCE + dither, 0.0, 1.0);
+            float fog = clamp(viewLen / _FogDistance + dither, 0.0, 1.0);
             gl_FragColor = vec4(mix(texture, fogColor, fog), 1.0);
             return;
         }
 
-        float originY = cameraPosition.y;
+        // Seen through the refracting surface, which absorbs along the view path itself
+        if (_SurfaceRefraction > 0.0 && above)
+        {
+            gl_FragColor = vec4(texture * exp((_worldPos.y - _SeaLevel) * _Absorption) * _Light, 1.0);
+            return;
+        }
+
+        float originY = cameraY;
 
-        if (cameraPosition.y > 0.0)
+        if (above)
         {
-            viewLen -= cameraPosition.y / -viewDir.y;
+            viewLen -= cameraY / -viewDir.y;
             originY = 0.0;
         }
         viewLen = min(viewLen, MAX_VIEW_DEPTH);
@@ -252,7 +483,7 @@ export const objectFragment =
         
         light = min(light + spotLight, vec3(1.0));
 
-        gl_FragColor = vec4(mix(texture * light, light, min(viewLen / MAX_VIEW_DEPTH, 1.0 - spotLight)), 1.0);
+        gl_FragColor = vec4(mix(texture * light, light * _Scattering, min(viewLen / MAX_VIEW_DEPTH, 1.0 - spotLight)), 1.0);
     }
 `;
 
@@ -273,8 +504,11 @@ export const triplanarVertex =
 export const triplanarFragment =
 /*glsl*/`
     #include <ocean>
+    #include <caustics>
+    #include <waterline>
 
     uniform vec3 _CameraForward;
+    uniform vec3 _Caustics;
     uniform sampler2D _MainTexture;
     uniform float _BlendSharpness;
     uniform float _Scale;
@@ -286,7 +520,8 @@ export const triplanarFragment =
 
     void main()
     {
-        float dirLighting = max(0.4, dot(_normal, _DirToLight));
+        float shadow = cloudShadow(_worldPos, _DirToLight);
+        float dirLighting = max(0.4, dot(_normal, _DirToLight) * shadow);
 
         vec3 weights = abs(_normal);
         weights = vec3(pow(weights.x, _BlendSharpness), pow(weights.y, _BlendSharpness), pow(weights.z, _BlendSharpness));
@@ -297,30 +532,42 @@ export const triplanarFragment =
         vec3 textureZ = texture2D(_MainTexture, _worldPos.xy * _Scale).xyz * weights.z;
 
         vec3 texture = (textureX + textureY + textureZ) * dirLighting;
+
+        // Sunlight patterns focused by the waves
+        texture *= 1.0 + caustics(_worldPos - vec3(0.0, _SeaLevel, 0.0), _DirToLight, _Time, _Caustics.x, _Caustics.y, _Caustics.z) * _SunVisibility * shadow;
         
         vec3 viewVec = _worldPos - cameraPosition;
         float viewLen = length(viewVec);
         vec3 viewDir = viewVec / viewLen;
+        bool above = isAboveWater(_SeaLevel);
+        float cameraY = waterSideHeight(above, _SeaLevel);
 
-        if (_worldPos.y > 0.0)
+        if (_worldPos.y > _SeaLevel)
         {
-            if (cameraPosition.y < 0.0)
+            if (!above)
             {
-                viewLen -= cameraPosition.y / -viewDir.y;
+                viewLen -= cameraY / -viewDir.y;
             }
 
             sampleDither(gl_FragCoord.xy);
             vec3 fogColor = sampleFog(viewDir);
-            float fog = clamp(viewLen / FOG_DISTANCE + dither, 0.0, 1.0);
+            float fog = clamp(viewLen / _FogDistance + dither, 0.0, 1.0);
             gl_FragColor = vec4(mix(texture, fogColor, fog), 1.0);
             return;
         }
 
-        float originY = cameraPosition.y;
+        // Seen through the refracting surface, which absorbs along the view path itself
+        if (_SurfaceRefraction > 0.0 && above)
+        {
+            gl_FragColor = vec4(texture * exp((_worldPos.y - _SeaLevel) * _Absorption) * _Light, 1.0);
+            return;
+        }
+
+        float originY = cameraY;
 
-        if (cameraPosition.y > 0.0)
+        if (above)
         {
-            viewLen -= cameraPosition.y / -viewDir.y;
+            viewLen -= cameraY / -viewDir.y;
             originY = 0.0;
         }
         viewLen = min(viewLen, MAX_VIEW_DEPTH);
@@ -338,6 +585,124 @@ export const triplanarFragment =
         
         light = min(light + spotLight, vec3(1.0));
 
-        gl_FragColor = vec4(mix(texture * light, light, min(viewLen / MAX_VIEW_DEPTH, 1.0 - spotLight)), 1.0);
+        gl_FragColor = vec4(mix(texture * light, light * _Scattering, min(viewLen / MAX_VIEW_DEPTH, 1.0 - spotLight)), 1.0);
     }
-`;
\ No newline at end of file
+`;
+
+export const foamVertex = 
+/*glsl*/`
+    varying vec2 _uv;
+
+    void main()
+    {
+        _uv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+export const foamFragment = 
+/*glsl*/`
+    #include <ocean>
+    #include <waves>
+    #include <spectrum>
+
+    uniform sampler2D _FoamPrevious;
+    uniform vec2 _FoamOrigin;
+    uniform vec2 _FoamPreviousOrigin;
+    uniform float _FoamArea;
+    uniform float _FoamDecay;
+    uniform float _FoamGrowth;
+    uniform float _WhitecapSlope;
+    uniform float _WhitecapJacobian;
+    uniform float _DeltaTime;
+
+    varying vec2 _uv;
+
+    void main()
+    {
+        vec2 pos = _FoamOrigin + (_uv - 0.5) * _FoamArea;
+
+        // Foam left from the previous frames, moved along with the simulated area
+        vec2 previousUv = (pos - _FoamPreviousOrigin) / _FoamArea + 0.5;
+        float inside = step(0.0, min(previousUv.x, previousUv.y)) * step(max(previousUv.x, previousUv.y), 1.0);
+        float foam = texture2D(_FoamPrevious, previousUv).r * inside * exp(-_FoamDecay * _DeltaTime);
+
+        // Crests of the big and small waves break where they get too steep
+        float elevation = waveElevation(pos);
+        vec3 normal = waveNormal(pos, elevation);
+        float slope = length(normal.xz) / normal.y;
+        float breaking = smoothstep(_WhitecapSlope, _WhitecapSlope * 1.5, slope);
+
+        // Spectral waves break where the choppy displacement compresses the surface
+        float jacobian = sampleSpectrumNormal(pos).z;
+        breaking = max(breaking, (1.0 - smoothstep(_WhitecapJacobian - 0.25, _WhitecapJacobian, jacobian)) * _SpectrumBlend);
+
+        foam = min(foam + breaking * _FoamGrowth * _DeltaTime, 1.0);
+        gl_FragColor = vec4(foam, 0.0, 0.0, 1.0);
+    }
+`;
+
+export const rippleVertex = 
+/*glsl*/`
+    varying vec2 _uv;
+
+    void main()
+    {
+        _uv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+export const rippleFragment = 
+/*glsl*/`
+    const int MAX_RIPPLE_DROPS = 8;
+
+    // r = current height, g = height one step earlier
+    uniform sampler2D _RipplePrevious;
+    uniform vec2 _RippleOrigin;
+    uniform vec2 _RipplePreviousOrigin;
+    uniform float _RippleArea;
+    uniform float _RippleSpeed;
+    uniform float _RippleDamping;
+    uniform float _DeltaTime;
+
+    // xy = world position, z = radius, w = height added at the center
+    uniform vec4 _RippleDrops[MAX_RIPPLE_DROPS];
+    uniform int _RippleDropCount;
+
+    varying vec2 _uv;
+
+    vec2 sampleState(vec2 uv)
+    {
+        float inside = step(0.0, min(uv.x, uv.y)) * step(max(uv.x, uv.y), 1.0);
+        return texture2D(_RipplePrevious, uv).rg * inside;
+    }
+
+    void main()
+    {
+        vec2 pos = _RippleOrigin + (_uv - 0.5) * _RippleArea;
+
+        // Heights from the previous step, moved along with the simulated area
+        vec2 uv = (pos - _RipplePreviousOrigin) / _RippleArea + 0.5;
+        vec2 texel = 1.0 / vec2(textureSize(_RipplePrevious, 0));
+        vec2 state = sampleState(uv);
+        float neighbours = sampleState(uv + vec2(texel.x, 0.0)).r + sampleState(uv - vec2(texel.x, 0.0)).r +
+                           sampleState(uv + vec2(0.0, texel.y)).r + sampleState(uv - vec2(0.0, texel.y)).r;
+
+        // Wave equation, with the Courant number kept in the stable range
+        float courant = _RippleSpeed * _DeltaTime / (_RippleArea * texel.x);
+        float spread = min(courant * courant, 0.5);
+        float velocity = (state.r - state.g) * exp(-_RippleDamping * _DeltaTime);
+        float height = state.r + velocity + spread * (neighbours - 4.0 * state.r);
+
+        for (int i = 0; i < MAX_RIPPLE_DROPS; i++)
+        {
+            if (i >= _RippleDropCount) break;
+            vec4 drop = _RippleDrops[i];
+            float d = distance(pos, drop.xy) / drop.z;
+            height += drop.w * exp(-d * d);
+        }
+
+        gl_FragColor = vec4(height, state.r, 0.0, 1.0);
+    }
+`;
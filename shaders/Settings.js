@@ -2,12 +2,72 @@ import { ShaderChunk } from "three";
 
 const global = 
 /*glsl*/`
-    const float FOG_DISTANCE = 1000.0;
+    // Distance where the fog hides everything, set by the sea state
+    uniform float _FogDistance;
+    // Height of the still water, moved by the tides
+    uniform float _SeaLevel;
+`;
+
+// Procedural cloud deck, flat at _CloudAltitude and drifting with the wind. Shared by the sky and the
+// shadows it casts on the sea and the island
+const clouds =
+/*glsl*/`
+    const float CLOUD_DECK_SCALE = 0.02;
+    const float CLOUD_SOFTNESS = 0.25;
+
+    uniform vec2 _CloudOffset;
+    uniform float _CloudCoverage;
+    uniform float _CloudDensity;
+    uniform float _CloudAltitude;
+    uniform float _CloudShadows;
+
+    float cloudHash(vec2 p)
+    {
+        return fract(sin(dot(p, vec2(127.1, 311.7))) * 43758.5453);
+    }
+
+    float cloudNoise(vec2 p)
+    {
+        vec2 i = floor(p);
+        vec2 f = fract(p);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(mix(cloudHash(i), cloudHash(i + vec2(1.0, 0.0)), f.x),
+                   mix(cloudHash(i + vec2(0.0, 1.0)), cloudHash(i + vec2(1.0, 1.0)), f.x), f.y);
+    }
+
+    // Cloud density at a point of the deck (world xz), 0 in the clear gaps
+    float cloudDeck(vec2 pos)
+    {
+        vec2 p = pos * CLOUD_DECK_SCALE + _CloudOffset;
+        float noise = 0.0;
+        float amplitude = 0.5;
+
+        for (int i = 0; i < 4; i++)
+        {
+            noise += cloudNoise(p) * amplitude;
+            p = p * 2.03 + 17.0;
+            amplitude *= 0.5;
+        }
+        noise /= 0.9375;
+
+        float threshold = 1.0 - _CloudCoverage;
+        return smoothstep(threshold, threshold + CLOUD_SOFTNESS, noise) * _CloudDensity;
+    }
+
+    // Sunlight left at a world position after crossing the deck (1 = no cloud in the way)
+    float cloudShadow(vec3 worldPos, vec3 dirToLight)
+    {
+        if (_CloudShadows <= 0.0 || _CloudCoverage <= 0.0 || dirToLight.y <= 0.0) return 1.0;
+
+        vec2 deck = worldPos.xz + dirToLight.xz / max(dirToLight.y, 0.1) * (_CloudAltitude - worldPos.y);
+        return 1.0 - cloudDeck(deck) * _CloudShadows;
+    }
 `;
 
 const skybox =
 /*glsl*/`
     #include <common>
+    #include <clouds>
 
     const float DITHER_STRENGTH = 0.1;
 
@@ -36,6 +96,33 @@ const skybox =
 
     const vec3 UP = vec3(0.0, 1.0, 0.0);
 
+    const vec3 OVERCAST_LUMINANCE = vec3(0.3, 0.59, 0.11);
+    const float OVERCAST_BRIGHTNESS = 0.6;
+    const float CLOUD_SCALE = 0.6;
+    const float CLOUD_BREAKUP = 0.5;
+
+    const vec3 SUN_COLOR = vec3(1.0, 0.95, 0.85);
+    const vec3 SUNSET_SUN_COLOR = vec3(1.0, 0.45, 0.15);
+    const float SUN_RADIUS = 0.015;
+    const float SUN_BRIGHTNESS = 4.0;
+    const float SUN_LIMB_DARKENING = 0.6;
+    const float SUN_HALO_SHARPNESS = 400.0;
+    const float SUN_HALO_STRENGTH = 0.4;
+
+    const vec3 MOON_COLOR = vec3(0.85, 0.88, 0.95);
+    const vec3 MOON_MARIA_COLOR = vec3(0.55, 0.57, 0.62);
+    const float MOON_RADIUS = 0.018;
+    const float MOON_EARTHSHINE = 0.03;
+    const float MOON_GLITTER_SHARPNESS = 600.0;
+    const float MOON_GLITTER_STRENGTH = 3.0;
+
+    const float CLOUD_BRIGHTNESS = 0.9;
+    const float CLOUD_AMBIENT = 0.6;
+    const float CLOUD_ABSORPTION = 2.5;
+    const float CLOUD_LIGHT_STEP = 15.0;
+    const float CLOUD_MOONLIGHT = 0.15;
+    const float CLOUD_SILVER_LINING = 0.6;
+
     uniform mat3 _SkyRotationMatrix;
 
     uniform sampler2D _DitherTexture;
@@ -48,6 +135,13 @@ const skybox =
     uniform sampler2D _Stars;
     uniform vec3 _DirToLight;
     uniform vec3 _Light;
+    uniform float _Overcast;
+    // 1 when the sky comes from the atmosphere LUT instead of the painted colors
+    uniform float _PhysicalSky;
+    uniform sampler2D _SkyView;
+    uniform vec3 _MoonDirection;
+    // Strength of the moonlight: phase, height above the horizon, daylight and clouds (0-1)
+    uniform float _MoonLight;
 
     float dither = 0.0;
 
@@ -117,6 +211,105 @@ const skybox =
         return vec2(u, v);
     }
 
+    // Gaps between the rain clouds, drifting with the wind. They close up towards the horizon
+    float cloudGaps(vec3 dir)
+    {
+        vec2 plane = dir.xz / max(dir.y, 0.05) * CLOUD_SCALE + _CloudOffset;
+        float noise = cloudNoise(plane) * 0.65 + cloudNoise(plane * 2.7) * 0.35;
+        return smoothstep(0.45, 0.8, noise) * smoothstep(0.0, 0.3, dir.y) * CLOUD_BREAKUP;
+    }
+
+    // Rain clouds turn the sky into a dimmer grey and hide the stars
+    vec3 applyOvercast(vec3 sky, float gaps)
+    {
+        vec3 clouds = vec3(dot(sky, OVERCAST_LUMINANCE) * OVERCAST_BRIGHTNESS);
+        return mix(sky, clouds, _Overcast * (1.0 - gaps));
+    }
+
+    vec3 applyOvercast(vec3 sky)
+    {
+        return applyOvercast(sky, 0.0);
+    }
+
+    // Sky from the atmosphere LUT (see skyViewFragment), the horizon carries on below it
+    vec3 sampleAtmosphere(vec3 dir)
+    {
+        vec2 flatSun = _DirToLight.xz;
+        float lengths = length(dir.xz) * length(flatSun);
+        float cosAzimuth = lengths > 1e-5 ? dot(dir.xz, flatSun) / lengths : 1.0;
+        float u = acos(clamp(cosAzimuth, -1.0, 1.0)) / PI;
+        float v = sqrt(asin(clamp(dir.y, 0.0, 1.0)) / (PI * 0.5));
+        return texture2D(_SkyView, vec2(u, v)).rgb;
+    }
+
+    // Sun disk, darker towards its rim, inside a soft glow. Redder when it sets
+    vec3 sampleSun(vec3 dir)
+    {
+        float r = distance(dir, _DirToLight) / SUN_RADIUS;
+        float mu = sqrt(max(1.0 - r * r, 0.0));
+        float disk = (1.0 - SUN_LIMB_DARKENING * (1.0 - mu)) * (1.0 - smoothstep(0.9, 1.0, r)) * SUN_BRIGHTNESS;
+        float halo = pow(max(dot(dir, _DirToLight), 0.0), SUN_HALO_SHARPNESS) * SUN_HALO_STRENGTH;
+
+        vec3 color = mix(SUNSET_SUN_COLOR, SUN_COLOR, smoothstep(-0.05, 0.3, _DirToLight.y));
+        return color * (disk + halo) * smoothstep(-0.01, 0.01, dir.y);
+    }
+
+    // Moon disk lit from the sun's side, which gives its phase. rgb = color, a = coverage
+    vec4 sampleMoon(vec3 dir)
+    {
+        vec3 toCenter = dir - _MoonDirection;
+        float r = length(toCenter) / MOON_RADIUS;
+        if (r > 1.0) return vec4(0.0);
+
+        // Disk axes kept level with the horizon, so the surface doesn't spin as the moon crosses the sky
+        vec3 reference = abs(_MoonDirection.y) > 0.99 ? vec3(1.0, 0.0, 0.0) : UP;
+        vec3 right = normalize(cross(reference, _MoonDirection));
+        vec3 up = cross(_MoonDirection, right);
+        vec2 disk = vec2(dot(toCenter, right), dot(toCenter, up)) / MOON_RADIUS;
+
+        // Visible half of the sphere faces back at the viewer
+        vec3 normal = right * disk.x + up * disk.y - _MoonDirection * sqrt(max(1.0 - dot(disk, disk), 0.0));
+        float lit = smoothstep(-0.05, 0.1, dot(normal, _DirToLight));
+
+        float maria = cloudNoise(disk * 2.5 + 3.7) * 0.7 + cloudNoise(disk * 6.0 + 1.3) * 0.3;
+        vec3 albedo = mix(MOON_COLOR, MOON_MARIA_COLOR, smoothstep(0.45, 0.65, maria));
+
+        float coverage = (1.0 - smoothstep(0.9, 1.0, r)) * smoothstep(-0.01, 0.01, dir.y);
+        return vec4(albedo * (lit + MOON_EARTHSHINE) * coverage, coverage);
+    }
+
+    // Moonlight reflected by the waves, the normals spread it into a path towards the moon
+    vec3 calcMoonGlitter(vec3 dir)
+    {
+        float highlight = pow(max(dot(dir, _MoonDirection), 0.0), MOON_GLITTER_SHARPNESS);
+        return MOON_COLOR * highlight * MOON_GLITTER_STRENGTH * _MoonLight;
+    }
+
+    // Cloud deck seen in a direction, lit by the sun, the twilight or the moon. rgb = color, a = opacity
+    vec4 sampleClouds(vec3 dir)
+    {
+        if (_CloudCoverage <= 0.0 || dir.y <= 0.0) return vec4(0.0);
+
+        vec2 deck = cameraPosition.xz + dir.xz / max(dir.y, 0.01) * max(_CloudAltitude - cameraPosition.y, 1.0);
+        float density = cloudDeck(deck);
+        if (density <= 0.0) return vec4(0.0);
+
+        // One step towards the light: the thicker the cloud there, the darker this side of it
+        vec3 lightDir = _SunVisibility > 0.0 ? _DirToLight : _MoonDirection;
+        float lit = exp(-cloudDeck(deck + normalize(lightDir.xz + vec2(1e-4)) * CLOUD_LIGHT_STEP) * CLOUD_ABSORPTION);
+
+        vec3 twilight = mix(LATE_TWILIGHT_COLOR, EARLY_TWILIGHT_COLOR, _TwilightTime);
+        vec3 sunColor = mix(vec3(1.0), twilight, _TwilightVisibility) * _SunVisibility;
+        vec3 moonColor = MOON_COLOR * _MoonLight * CLOUD_MOONLIGHT;
+        vec3 ambient = mix(NIGHT_SKY_COLOR, DAY_SKY_COLOR, _SunVisibility) * CLOUD_AMBIENT;
+
+        // Thin edges light up around the sun
+        float silverLining = pow(max(dot(dir, _DirToLight), 0.0), 8.0) * (1.0 - density) * CLOUD_SILVER_LINING;
+
+        vec3 color = ambient + (sunColor + moonColor) * (lit * CLOUD_BRIGHTNESS + silverLining);
+        return vec4(color, density * smoothstep(0.0, 0.1, dir.y));
+    }
+
     void sampleDither(vec2 fragCoord)
     {
         dither = (texture2D(_DitherTexture, (fragCoord - vec2(0.5)) / _DitherTextureSize).x - 0.5) * DITHER_STRENGTH;
@@ -137,6 +330,12 @@ const skybox =
         vec3 sky = mix(night, day, _SunVisibility);
         sky = mix(sky, twilight, density * clamp(sunLight * 0.5 + 0.5 + dither, 0.0, 1.0) * _TwilightVisibility);
 
+        // The physical sky replaces the painted day and twilight, the night glow stays underneath
+        if (_PhysicalSky > 0.0)
+        {
+            sky = sampleAtmosphere(dir) + night * (1.0 - _SunVisibility);
+        }
+
         vec2 cubeCoords = sampleCubeCoords(viewDir);
         vec4 gridValue = texture2D(_Stars, cubeCoords);
 
@@ -146,8 +345,11 @@ const skybox =
         stars *= min(exp(-dot(sky, vec3(1.0)) * STARS_FALLOFF) * STARS_VISIBILITY, 1.0);
 
         sky = mix(sky, STARS_COLORS[int(gridValue.w * 6.0)], stars);
+
+        vec4 clouds = sampleClouds(dir);
+        sky = mix(sky, clouds.rgb, clouds.a);
         
-        return sky;
+        return applyOvercast(sky, cloudGaps(dir));
     }
 
     vec3 sampleFog(vec3 dir)
@@ -159,7 +361,12 @@ const skybox =
         vec3 horizon = mix(NIGHT_HORIZON_COLOR, DAY_HORIZON_COLOR, _SunVisibility);
         horizon = mix(horizon, twilight, clamp(sunLight * 0.5 + 0.5 + dither, 0.0, 1.0) * _TwilightVisibility);
 
-        return horizon;
+        if (_PhysicalSky > 0.0)
+        {
+            horizon = sampleAtmosphere(vec3(dir.x, 0.0, dir.z)) + NIGHT_HORIZON_COLOR * (1.0 - _SunVisibility);
+        }
+
+        return applyOvercast(horizon);
     }
 `;
 
@@ -177,6 +384,11 @@ const ocean =
     uniform sampler2D _NormalMap1;
     uniform sampler2D _NormalMap2;
     uniform vec3 _Absorption;
+    uniform vec3 _Scattering;
+
+    // 1 when the ocean surface refracts the scene and absorbs light along the underwater view path,
+    // so opaque objects seen from above only apply the light reaching their own depth
+    uniform float _SurfaceRefraction;
     
     // Small wave parameters (normal map based)
     uniform float _NormalMapScale;
@@ -185,6 +397,300 @@ const ocean =
     uniform vec2 _WaveVelocity2;
 `;
 
+const waves =
+/*glsl*/`
+    const float MAX_SMALL_WAVES_ITERATIONS = 8.0;
+    const float WAVE_NORMAL_OFFSET = 0.1;
+
+    uniform float uBigWavesElevation;
+    uniform vec2 uBigWavesFrequency;
+    uniform float uBigWavesSpeed;
+    uniform float uSmallWavesElevation;
+    uniform float uSmallWavesFrequency;
+    uniform float uSmallWavesSpeed;
+    uniform float uSmallIterations;
+    uniform vec2 uWaveDirection;
+
+    // Classic Perlin 3D noise by Stefan Gustavson
+    vec4 permute(vec4 x)
+    {
+        return mod(((x * 34.0) + 1.0) * x, 289.0);
+    }
+
+    vec4 taylorInvSqrt(vec4 r)
+    {
+        return 1.79284291400159 - 0.85373472095314 * r;
+    }
+
+    vec3 fade(vec3 t)
+    {
+        return t * t * t * (t * (t * 6.0 - 15.0) + 10.0);
+    }
+
+    float cnoise(vec3 P)
+    {
+        vec3 Pi0 = floor(P);
+        vec3 Pi1 = Pi0 + vec3(1.0);
+        Pi0 = mod(Pi0, 289.0);
+        Pi1 = mod(Pi1, 289.0);
+        vec3 Pf0 = fract(P);
+        vec3 Pf1 = Pf0 - vec3(1.0);
+        vec4 ix = vec4(Pi0.x, Pi1.x, Pi0.x, Pi1.x);
+        vec4 iy = vec4(Pi0.yy, Pi1.yy);
+        vec4 iz0 = Pi0.zzzz;
+        vec4 iz1 = Pi1.zzzz;
+
+        vec4 ixy = permute(permute(ix) + iy);
+        vec4 ixy0 = permute(ixy + iz0);
+        vec4 ixy1 = permute(ixy + iz1);
+
+        vec4 gx0 = ixy0 / 7.0;
+        vec4 gy0 = fract(floor(gx0) / 7.0) - 0.5;
+        gx0 = fract(gx0);
+        vec4 gz0 = vec4(0.5) - abs(gx0) - abs(gy0);
+        vec4 sz0 = step(gz0, vec4(0.0));
+        gx0 -= sz0 * (step(0.0, gx0) - 0.5);
+        gy0 -= sz0 * (step(0.0, gy0) - 0.5);
+
+        vec4 gx1 = ixy1 / 7.0;
+        vec4 gy1 = fract(floor(gx1) / 7.0) - 0.5;
+        gx1 = fract(gx1);
+        vec4 gz1 = vec4(0.5) - abs(gx1) - abs(gy1);
+        vec4 sz1 = step(gz1, vec4(0.0));
+        gx1 -= sz1 * (step(0.0, gx1) - 0.5);
+        gy1 -= sz1 * (step(0.0, gy1) - 0.5);
+
+        vec3 g000 = vec3(gx0.x, gy0.x, gz0.x);
+        vec3 g100 = vec3(gx0.y, gy0.y, gz0.y);
+        vec3 g010 = vec3(gx0.z, gy0.z, gz0.z);
+        vec3 g110 = vec3(gx0.w, gy0.w, gz0.w);
+        vec3 g001 = vec3(gx1.x, gy1.x, gz1.x);
+        vec3 g101 = vec3(gx1.y, gy1.y, gz1.y);
+        vec3 g011 = vec3(gx1.z, gy1.z, gz1.z);
+        vec3 g111 = vec3(gx1.w, gy1.w, gz1.w);
+
+        vec4 norm0 = taylorInvSqrt(vec4(dot(g000, g000), dot(g010, g010), dot(g100, g100), dot(g110, g110)));
+        g000 *= norm0.x;
+        g010 *= norm0.y;
+        g100 *= norm0.z;
+        g110 *= norm0.w;
+        vec4 norm1 = taylorInvSqrt(vec4(dot(g001, g001), dot(g011, g011), dot(g101, g101), dot(g111, g111)));
+        g001 *= norm1.x;
+        g011 *= norm1.y;
+        g101 *= norm1.z;
+        g111 *= norm1.w;
+
+        float n000 = dot(g000, Pf0);
+        float n100 = dot(g100, vec3(Pf1.x, Pf0.yz));
+        float n010 = dot(g010, vec3(Pf0.x, Pf1.y, Pf0.z));
+        float n110 = dot(g110, vec3(Pf1.xy, Pf0.z));
+        float n001 = dot(g001, vec3(Pf0.xy, Pf1.z));
+        float n101 = dot(g101, vec3(Pf1.x, Pf0.y, Pf1.z));
+        float n011 = dot(g011, vec3(Pf0.x, Pf1.yz));
+        float n111 = dot(g111, Pf1);
+
+        vec3 fade_xyz = fade(Pf0);
+        vec4 n_z = mix(vec4(n000, n100, n010, n110), vec4(n001, n101, n011, n111), fade_xyz.z);
+        vec2 n_yz = mix(n_z.xy, n_z.zw, fade_xyz.y);
+        float n_xyz = mix(n_yz.x, n_yz.y, fade_xyz.x);
+        return 2.2 * n_xyz;
+    }
+
+    // Big waves are two crossed sines turned with the wind, small waves are turbulent Perlin octaves carved out of them
+    float waveElevation(vec2 pos)
+    {
+        // The sines travel towards -x, so x runs against the wind
+        vec2 windPos = -vec2(dot(pos, uWaveDirection), dot(pos, vec2(-uWaveDirection.y, uWaveDirection.x)));
+        float elevation = sin(windPos.x * uBigWavesFrequency.x + _Time * uBigWavesSpeed) *
+                          sin(windPos.y * uBigWavesFrequency.y + _Time * uBigWavesSpeed) *
+                          uBigWavesElevation;
+
+        for (float i = 1.0; i <= MAX_SMALL_WAVES_ITERATIONS; i++)
+        {
+            if (i > uSmallIterations) break;
+            elevation -= abs(cnoise(vec3(pos * uSmallWavesFrequency * i, _Time * uSmallWavesSpeed)) * uSmallWavesElevation / i);
+        }
+
+        return elevation;
+    }
+
+    vec3 waveNormal(vec2 pos, float elevation)
+    {
+        float dx = waveElevation(pos + vec2(WAVE_NORMAL_OFFSET, 0.0)) - elevation;
+        float dz = waveElevation(pos + vec2(0.0, WAVE_NORMAL_OFFSET)) - elevation;
+        return normalize(vec3(-dx, WAVE_NORMAL_OFFSET, -dz));
+    }
+`;
+
+const depth =
+/*glsl*/`
+    #include <packing>
+
+    uniform sampler2D _SceneDepth;
+    uniform vec2 _ScreenSize;
+    uniform float _CameraNear;
+    uniform float _CameraFar;
+
+    // View distance to the opaque scene at the screen uv, minus the distance to this fragment
+    float sceneDepthDifference(vec2 uv)
+    {
+        float sceneDepth = texture2D(_SceneDepth, uv).x;
+        float sceneViewZ = perspectiveDepthToViewZ(sceneDepth, _CameraNear, _CameraFar);
+        float fragmentViewZ = perspectiveDepthToViewZ(gl_FragCoord.z, _CameraNear, _CameraFar);
+        return fragmentViewZ - sceneViewZ;
+    }
+
+    float sceneDepthDifference()
+    {
+        return sceneDepthDifference(gl_FragCoord.xy / _ScreenSize);
+    }
+`;
+
+const caustics =
+/*glsl*/`
+    const float CAUSTICS_SHARPNESS = 3.0;
+    const float CAUSTICS_DEPTH_FALLOFF = 0.15;
+    const float CAUSTICS_BLUR = 0.05;
+
+    vec2 causticsHash(vec2 p)
+    {
+        p = vec2(dot(p, vec2(127.1, 311.7)), dot(p, vec2(269.5, 183.3)));
+        return fract(sin(p) * 43758.5453);
+    }
+
+    // Distance to the nearest border of a cellular pattern whose points wander in circles
+    float causticsCells(vec2 pos, float time)
+    {
+        vec2 cell = floor(pos);
+        vec2 local = fract(pos);
+        float nearest = 8.0;
+        float second = 8.0;
+
+        for (int y = -1; y <= 1; y++)
+        {
+            for (int x = -1; x <= 1; x++)
+            {
+                vec2 offset = vec2(float(x), float(y));
+                vec2 hash = causticsHash(cell + offset);
+                vec2 point = offset + 0.5 + 0.4 * sin(time + PI2 * hash) - local;
+                float dist = dot(point, point);
+
+                if (dist < nearest)
+                {
+                    second = nearest;
+                    nearest = dist;
+                }
+                else if (dist < second)
+                {
+                    second = dist;
+                }
+            }
+        }
+
+        return sqrt(second) - sqrt(nearest);
+    }
+
+    // Sunlight focused by the waves on a point under the water (position relative to the sea level), 0 above it.
+    // scale = cells per world unit, speed = animation speed, strength = brightness of the lines
+    float caustics(vec3 worldPos, vec3 dirToLight, float time, float scale, float speed, float strength)
+    {
+        float depth = -worldPos.y;
+        if (depth <= 0.0 || dirToLight.y <= 0.0) return 0.0;
+
+        // Follow the sun ray back up to where it entered the water
+        vec2 pos = (worldPos.xz + dirToLight.xz / max(dirToLight.y, 0.1) * depth) * scale;
+        float t = time * speed;
+
+        // Two drifting layers, the light gathers along the borders of both
+        float border = min(causticsCells(pos, t), causticsCells(pos * 1.37 + 11.3, t * 1.21));
+
+        // Deeper light is spread wider and dimmer
+        float blur = CAUSTICS_BLUR + depth * scale * CAUSTICS_BLUR;
+        float light = pow(1.0 - smoothstep(0.0, blur + 0.25, border), CAUSTICS_SHARPNESS);
+
+        return light * strength * smoothstep(0.0, 0.05, depth) * exp(-depth * CAUSTICS_DEPTH_FALLOFF);
+    }
+`;
+
+const spectrum =
+/*glsl*/`
+    uniform sampler2D _SpectrumDisplacement;
+    uniform sampler2D _SpectrumNormal;
+    uniform float _SpectrumPatchSize;
+    uniform float _SpectrumBlend;
+
+    vec3 sampleSpectrumDisplacement(vec2 pos)
+    {
+        return texture2D(_SpectrumDisplacement, pos / _SpectrumPatchSize).xyz * _SpectrumBlend;
+    }
+
+    // xy = surface slopes, z = jacobian of the horizontal displacement
+    vec3 sampleSpectrumNormal(vec2 pos)
+    {
+        return texture2D(_SpectrumNormal, pos / _SpectrumPatchSize).xyz;
+    }
+`;
+
+const ripples =
+/*glsl*/`
+    uniform sampler2D _RippleMap;
+    uniform vec2 _RippleOrigin;
+    uniform float _RippleArea;
+
+    // Height of the interactive ripples, faded out towards the border of the simulated area
+    float sampleRippleHeight(vec2 pos)
+    {
+        vec2 uv = (pos - _RippleOrigin) / _RippleArea + 0.5;
+        vec2 border = min(uv, 1.0 - uv);
+        return texture2D(_RippleMap, uv).r * smoothstep(0.0, 0.1, min(border.x, border.y));
+    }
+
+    vec3 sampleRippleNormal(vec2 pos)
+    {
+        float offset = _RippleArea / float(textureSize(_RippleMap, 0).x);
+        float dx = sampleRippleHeight(pos + vec2(offset, 0.0)) - sampleRippleHeight(pos - vec2(offset, 0.0));
+        float dz = sampleRippleHeight(pos + vec2(0.0, offset)) - sampleRippleHeight(pos - vec2(0.0, offset));
+        return normalize(vec3(-dx, offset * 2.0, -dz));
+    }
+`;
+
+const waterline =
+/*glsl*/`
+    // Water line across the near plane of the camera, so the pixels above and below it get their own look
+    const int WATERLINE_COLUMNS = 16;
+
+    uniform float _Waterline[WATERLINE_COLUMNS];   // Water height over the middle row of the near plane, per column
+    uniform float _WaterlineSlope;                 // Height from the middle row to the top row of the near plane
+    uniform float _WaterlineActive;                // 0 for the other cameras (reflections), which only compare their position
+    uniform vec2 _WaterlineScreenSize;
+
+    // Distance to the water line at the screen uv (in screen heights), positive above the water
+    float waterlineDistance(vec2 uv)
+    {
+        float column = clamp(uv.x, 0.0, 1.0) * float(WATERLINE_COLUMNS - 1);
+        int i = min(int(column), WATERLINE_COLUMNS - 2);
+        float height = mix(_Waterline[i], _Waterline[i + 1], column - float(i));
+        float row = uv.y * 2.0 - 1.0;
+        return (_WaterlineSlope * row - height) / max(abs(_WaterlineSlope), 0.0001) * 0.5;
+    }
+
+    // Whether the view ray of this pixel starts above the water
+    bool isAboveWater(float level)
+    {
+        if (_WaterlineActive < 0.5)
+        {
+            return cameraPosition.y > level;
+        }
+        return waterlineDistance(gl_FragCoord.xy / _WaterlineScreenSize) > 0.0;
+    }
+
+    // Camera height over the sea level, kept on the side of the water the pixel looks from
+    float waterSideHeight(bool above, float level)
+    {
+        return above ? max(cameraPosition.y - level, 0.0) : min(cameraPosition.y - level, 0.0);
+    }
+`;
+
 const parallax = 
 /*glsl*/`
     const float PARALLAX_STRENGTH = 0.2;
@@ -234,7 +740,14 @@ const parallax =
 export function Start()
 {
     ShaderChunk.global = global;
+    ShaderChunk.clouds = clouds;
     ShaderChunk.skybox = skybox;
     ShaderChunk.ocean = ocean;
+    ShaderChunk.waves = waves;
+    ShaderChunk.spectrum = spectrum;
+    ShaderChunk.depth = depth;
+    ShaderChunk.caustics = caustics;
+    ShaderChunk.ripples = ripples;
+    ShaderChunk.waterline = waterline;
     ShaderChunk.parallax = parallax;
 }
\ No newline at end of file
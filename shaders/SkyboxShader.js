@@ -39,6 +39,11 @@ export const fragment =
         vec3 sky = mix(night, day, _SunVisibility);
         sky = mix(sky, twilight, density * clamp(sunLight * 0.5 + 0.5 + dither, 0.0, 1.0) * _TwilightVisibility);
 
+        if (_PhysicalSky > 0.0)
+        {
+            sky = sampleAtmosphere(worldDir) + night * (1.0 - _SunVisibility);
+        }
+
         vec2 cubeCoords = sampleCubeCoords(viewDir);
         vec4 gridValue = texture2D(_Stars, cubeCoords);
 
@@ -49,6 +54,143 @@ export const fragment =
 
         sky = mix(sky, STARS_COLORS[int(gridValue.w * 6.0)], stars);
 
+        vec4 clouds = sampleClouds(worldDir);
+        sky = mix(sky, clouds.rgb, clouds.a);
+
+        float gaps = cloudGaps(worldDir);
+        float clearSky = (1.0 - _Overcast * (1.0 - gaps)) * (1.0 - clouds.a);
+        sky = applyOvercast(sky, gaps);
+
+        // Sun and moon only show through the gaps in the clouds. At night the moon hides the stars behind it
+        vec4 moon = sampleMoon(worldDir);
+        sky = sky * (1.0 - moon.a * clearSky * (1.0 - _SunVisibility)) + moon.rgb * clearSky;
+        sky += sampleSun(worldDir) * clearSky;
+
         gl_FragColor = vec4(sky, 1.0);
     }
-`;
\ No newline at end of file
+`;
+
+// Sky-view LUT of the physically based sky: single Rayleigh and Mie scattering with ozone absorption,
+// seen from sea level. u = angle around from the sun (0-PI), v = elevation, finer near the horizon
+export const skyViewVertex =
+/*glsl*/`
+    varying vec2 _uv;
+
+    void main()
+    {
+        _uv = uv;
+        gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+`;
+
+export const skyViewFragment =
+/*glsl*/`
+    #include <common>
+
+    // Earth and atmosphere in meters, scattering coefficients per meter
+    const float EARTH_RADIUS = 6360e3;
+    const float ATMOSPHERE_RADIUS = 6460e3;
+    const float VIEW_HEIGHT = 10.0;
+    const vec3 RAYLEIGH_SCATTERING = vec3(5.802e-6, 13.558e-6, 33.1e-6);
+    const float RAYLEIGH_HEIGHT = 8000.0;
+    const float MIE_SCATTERING = 3.996e-6;
+    const float MIE_EXTINCTION = 4.44e-6;
+    const float MIE_HEIGHT = 1200.0;
+    const float MIE_ANISOTROPY = 0.8;
+    const vec3 OZONE_ABSORPTION = vec3(0.65e-6, 1.881e-6, 0.085e-6);
+    const float OZONE_CENTER = 25e3;
+    const float OZONE_WIDTH = 15e3;
+    const int VIEW_STEPS = 24;
+    const int SUN_STEPS = 8;
+
+    uniform float _SunHeight;
+    uniform float _SunIntensity;
+    uniform float _Turbidity;
+    uniform float _Ozone;
+
+    varying vec2 _uv;
+
+    // Distance along the ray to the sphere around the earth center, -1 when it is missed
+    float raySphere(vec3 origin, vec3 dir, float radius)
+    {
+        float b = dot(origin, dir);
+        float c = dot(origin, origin) - radius * radius;
+        float d = b * b - c;
+        if (d < 0.0) return -1.0;
+        d = sqrt(d);
+        return -b - d > 0.0 ? -b - d : -b + d;
+    }
+
+    // Scattering at the given height: rgb = Rayleigh, a = Mie
+    vec4 scatteringAt(float height)
+    {
+        return vec4(RAYLEIGH_SCATTERING * exp(-height / RAYLEIGH_HEIGHT), MIE_SCATTERING * _Turbidity * exp(-height / MIE_HEIGHT));
+    }
+
+    vec3 extinctionAt(float height)
+    {
+        vec4 scattering = scatteringAt(height);
+        float ozone = max(0.0, 1.0 - abs(height - OZONE_CENTER) / OZONE_WIDTH) * _Ozone;
+        return scattering.rgb + vec3(scattering.a * MIE_EXTINCTION / MIE_SCATTERING) + OZONE_ABSORPTION * ozone;
+    }
+
+    // Sunlight left at the point, none where the earth is in the way
+    vec3 sunTransmittance(vec3 pos, vec3 sunDir)
+    {
+        if (raySphere(pos, sunDir, EARTH_RADIUS) > 0.0) return vec3(0.0);
+
+        float stepLength = raySphere(pos, sunDir, ATMOSPHERE_RADIUS) / float(SUN_STEPS);
+        vec3 opticalDepth = vec3(0.0);
+        for (int i = 0; i < SUN_STEPS; i++)
+        {
+            vec3 samplePos = pos + sunDir * (float(i) + 0.5) * stepLength;
+            opticalDepth += extinctionAt(length(samplePos) - EARTH_RADIUS) * stepLength;
+        }
+        return exp(-opticalDepth);
+    }
+
+    float rayleighPhase(float mu)
+    {
+        return 3.0 / (16.0 * PI) * (1.0 + mu * mu);
+    }
+
+    // Cornette-Shanks
+    float miePhase(float mu)
+    {
+        float g2 = MIE_ANISOTROPY * MIE_ANISOTROPY;
+        return 3.0 / (8.0 * PI) * (1.0 - g2) * (1.0 + mu * mu) / ((2.0 + g2) * pow(1.0 + g2 - 2.0 * MIE_ANISOTROPY * mu, 1.5));
+    }
+
+    void main()
+    {
+        float azimuth = _uv.x * PI;
+        float elevation = _uv.y * _uv.y * PI * 0.5;
+        vec3 viewDir = vec3(cos(elevation) * cos(azimuth), sin(elevation), cos(elevation) * sin(azimuth));
+        vec3 sunDir = vec3(sqrt(max(1.0 - _SunHeight * _SunHeight, 0.0)), _SunHeight, 0.0);
+
+        vec3 origin = vec3(0.0, EARTH_RADIUS + VIEW_HEIGHT, 0.0);
+        float stepLength = raySphere(origin, viewDir, ATMOSPHERE_RADIUS) / float(VIEW_STEPS);
+
+        float mu = dot(viewDir, sunDir);
+        float rayleigh = rayleighPhase(mu);
+        float mie = miePhase(mu);
+
+        vec3 radiance = vec3(0.0);
+        vec3 transmittance = vec3(1.0);
+        for (int i = 0; i < VIEW_STEPS; i++)
+        {
+            vec3 pos = origin + viewDir * (float(i) + 0.5) * stepLength;
+            float height = length(pos) - EARTH_RADIUS;
+
+            vec4 scattering = scatteringAt(height);
+            vec3 inScattering = (scattering.rgb * rayleigh + scattering.a * mie) * sunTransmittance(pos, sunDir);
+            vec3 stepTransmittance = exp(-extinctionAt(height) * stepLength);
+
+            // Integrated over the step against its own extinction
+            radiance += transmittance * inScattering * (1.0 - stepTransmittance) / extinctionAt(height);
+            transmittance *= stepTransmittance;
+        }
+
+        gl_FragColor = vec4(radiance * _SunIntensity, 1.0);
+    }
+`;